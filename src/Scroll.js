@@ -1,5 +1,6 @@
-import { getController } from './controller.js';
-import { defaultTo, frameThrottle, lerp } from './utilities.js';
+import { getController, getSceneMatcher } from './controller.js';
+import { getIsReversed } from './view.js';
+import { debounce, defaultTo, frameThrottle, lerp, spring } from './utilities.js';
 
 /**
  * @private
@@ -8,10 +9,72 @@ const DEFAULTS = {
   transitionActive: false,
   transitionFriction: 0.9,
   transitionEpsilon: 1,
+  transitionType: 'lerp',
+  transitionStiffness: 170,
+  transitionDamping: 26,
+  transitionMass: 1,
   velocityActive: false,
-  velocityMax: 1
+  velocityMax: 1,
+  velocitySmoothing: 0,
+  velocityDecay: 0,
+  crossAxisActive: false,
+  snapActive: false,
+  snapDelay: 150,
+  snapProximity: Infinity,
+  snapBehavior: 'smooth'
 };
 
+/**
+ * Duration of a reference frame in milliseconds, which per-frame values are relative to.
+ *
+ * @private
+ */
+const FRAME_TIME = 1000 / 60;
+
+/**
+ * Maximal duration of a frame in milliseconds, to avoid jumps after long frames.
+ *
+ * @private
+ */
+const MAX_FRAME_TIME = 100;
+
+/**
+ * Minimal absolute value of velocity, below which it is considered at rest.
+ *
+ * @private
+ */
+const VELOCITY_EPSILON = 1e-4;
+
+/**
+ * Returns progress of the main axis and, if tracked, of the cross axis.
+ *
+ * @private
+ * @param {{p: number, prevP: number, vp: number, cross?: Object}} progress
+ * @return {Array<{p: number, prevP: number, vp: number}>}
+ */
+function getAxes (progress) {
+  return progress.cross ? [progress, progress.cross] : [progress];
+}
+
+/**
+ * Returns the scroll position of a root in logical coordinates, so positions grow from the start edge
+ * of each axis also in right-to-left and vertical writing modes, where physical scroll positions are negative.
+ *
+ * @private
+ * @param {Window|HTMLElement} root
+ * @param {{x: boolean, y: boolean}} reversed whether each axis is reversed
+ * @return {{x: number, y: number}}
+ */
+function getScrollPosition (root, reversed) {
+  const x = root.scrollX || root.scrollLeft || 0;
+  const y = root.scrollY || root.scrollTop || 0;
+
+  return {
+    x: reversed.x ? -x || 0 : x,
+    y: reversed.y ? -y || 0 : y
+  };
+}
+
 /**
  * @class Scroll
  * @param {scrollConfig} config
@@ -31,15 +94,28 @@ export class Scroll {
     this.progress = {
       p: 0,
       prevP: 0,
-      vp: 0
+      vp: 0,
+      ap: 0,
+      direction: 1
     };
     this.currentProgress = {
       p: 0,
       prevP: 0,
-      vp: 0
+      vp: 0,
+      ap: 0,
+      direction: 1,
+      springVelocity: 0
     };
 
+    if (this.config.crossAxisActive) {
+      this.progress.cross = {p: 0, prevP: 0, vp: 0, ap: 0, direction: 1};
+      this.currentProgress.cross = {p: 0, prevP: 0, vp: 0, ap: 0, direction: 1, springVelocity: 0};
+    }
+
     this._lerpFrameId = 0;
+    this._lastFrameTime = null;
+    this._handlers = new Map();
+    this._reversed = {x: false, y: false};
     this.effect = null;
     const isDocumentRoot = (!this.config.root || this.config.root === window.document.body);
     // if no root or root is document.body then use window
@@ -48,17 +124,26 @@ export class Scroll {
     this.config.resetProgress = this.config.resetProgress || this.resetProgress.bind(this);
 
     this._measure = this.config.measure || (() => {
-      const root = this.config.root;
       // get current scroll position from window or element
-      this.progress.p = this.config.horizontal
-        ? root.scrollX || root.scrollLeft || 0
-        : root.scrollY || root.scrollTop || 0;
+      const {x, y} = getScrollPosition(this.config.root, this._reversed);
+
+      this.progress.p = this.config.horizontal ? x : y;
+
+      if (this.progress.cross) {
+        this.progress.cross.p = this.config.horizontal ? y : x;
+      }
     });
 
-    this._trigger = frameThrottle(() => {
+    this._emit = (type, data) => {
+      this._handlers.get(type)?.forEach(handler => handler(data));
+    };
+
+    this._trigger = frameThrottle(time => {
       this._measure?.();
-      this.tick(true);
+      this.tick(true, time);
     });
+
+    this._snapTrigger = debounce(() => this.snap(), this.config.snapDelay);
   }
 
   /**
@@ -66,16 +151,36 @@ export class Scroll {
    */
   start () {
     this.setupEffect();
-    this.setupEvent();
-    this.resetProgress();
-    this.tick();
+    this.resume();
   }
 
   /**
-   * Removes event listener.
+   * Removes event listener and cancels pending transition frame and snap.
    */
   pause () {
     this.removeEvent();
+    this._snapTrigger.cancel();
+
+    if (this._lerpFrameId) {
+      window.cancelAnimationFrame(this._lerpFrameId);
+      this._lerpFrameId = 0;
+    }
+  }
+
+  /**
+   * Setup event, and update effects to current scroll position, keeping existing scenes intact.
+   * Starts if not started yet.
+   */
+  resume () {
+    if (!this.effect) {
+      this.start();
+      return;
+    }
+
+    this.setupEvent();
+    this.resetProgress();
+    this._lastFrameTime = null;
+    this.tick();
   }
 
   /**
@@ -87,66 +192,297 @@ export class Scroll {
    */
   resetProgress (scrollPosition = {}) {
     // get current scroll position (support window, element)
-    const root = this.config.root;
-    const x = scrollPosition.x || scrollPosition.x === 0 ? scrollPosition.x : root.scrollX || root.scrollLeft || 0;
-    const y = scrollPosition.y || scrollPosition.y === 0 ? scrollPosition.y : root.scrollY || root.scrollTop || 0;
+    const position = getScrollPosition(this.config.root, this._reversed);
+    const x = scrollPosition.x || scrollPosition.x === 0 ? scrollPosition.x : position.x;
+    const y = scrollPosition.y || scrollPosition.y === 0 ? scrollPosition.y : position.y;
     const p = this.config.horizontal ? x : y;
-    this.progress.p = p;
-    this.progress.prevP = p;
-    this.progress.vp = 0;
-
-    if ( this.config.transitionActive ) {
-      this.currentProgress.p = p;
-      this.currentProgress.prevP = p;
-      this.currentProgress.vp = 0;
-    }
+    const crossP = this.config.horizontal ? y : x;
+    const progressObjects = this.config.transitionActive ? [this.progress, this.currentProgress] : [this.progress];
+
+    progressObjects.forEach(progress => {
+      progress.p = p;
+      progress.prevP = p;
+      progress.vp = 0;
+      progress.ap = 0;
+
+      if (progress.cross) {
+        progress.cross.p = crossP;
+        progress.cross.prevP = crossP;
+        progress.cross.vp = 0;
+        progress.cross.ap = 0;
+      }
+    });
+
+    getAxes(this.currentProgress).forEach(axis => {
+      axis.springVelocity = 0;
+    });
 
     if (scrollPosition) {
-      this.config.root.scrollTo(x, y);
+      this.config.root.scrollTo(this.toPhysicalPosition(x, true), this.toPhysicalPosition(y, false));
     }
   }
 
   /**
    * Handle animation frame work.
    *
-   * @param {boolean} [clearLerpFrame] whether to cancel an existing lerp frame
+   * @param {boolean} [clearLerpFrame] whether to cancel an existing transition or velocity frame
+   * @param {number} [time] timestamp of the animation frame
    */
-  tick (clearLerpFrame) {
+  tick (clearLerpFrame, time) {
+    // bail out if we already ticked in this frame
+    if (time != null && time === this._lastFrameTime) return;
+
     const hasLerp = this.config.transitionActive;
+    // time passed since previous frame, or a single frame's duration if this is the first frame
+    const dt = this._lastFrameTime != null && time != null
+      ? Math.min(time - this._lastFrameTime, MAX_FRAME_TIME)
+      : FRAME_TIME;
+
+    if (time != null) {
+      this._lastFrameTime = time;
+    }
 
     // if transition is active interpolate to next point
     if (hasLerp) {
-      this.lerp();
+      if (this.config.transitionType === 'spring') {
+        this.spring(dt);
+      }
+      else {
+        this.lerp(dt);
+      }
     }
 
     // choose the object we iterate on
     const progress = hasLerp ? this.currentProgress : this.progress;
+    const axes = getAxes(progress);
 
     if (this.config.velocityActive) {
-      const dp = progress.p - progress.prevP;
-      const factorP = dp < 0 ? -1 : 1;
-      progress.vp = Math.min(this.config.velocityMax, Math.abs(dp)) / this.config.velocityMax * factorP;
+      // portion of previous velocity to keep, scaled to the frame's duration
+      const smoothing = this.config.velocitySmoothing
+        ? Math.pow(this.config.velocitySmoothing, dt / FRAME_TIME)
+        : 0;
+
+      axes.forEach(axis => {
+        const dp = axis.p - axis.prevP;
+        const factorP = dp < 0 ? -1 : 1;
+        const vp = Math.min(this.config.velocityMax, Math.abs(dp)) / this.config.velocityMax * factorP;
+        const prevVp = axis.vp;
+
+        if (!dp && this.config.velocityDecay) {
+          // not scrolling, so decay velocity towards rest
+          axis.vp = typeof this.config.velocityDecay === 'function'
+            ? this.config.velocityDecay(prevVp, dt)
+            : prevVp * Math.pow(this.config.velocityDecay, dt / FRAME_TIME);
+        }
+        else {
+          axis.vp = smoothing * prevVp + (1 - smoothing) * vp;
+        }
+
+        if (Math.abs(axis.vp) < VELOCITY_EPSILON) {
+          axis.vp = 0;
+        }
+
+        axis.ap = axis.vp - prevVp;
+
+        if (dp) {
+          axis.direction = factorP;
+        }
+      });
     }
 
     // update effect
     this.effect.tick(progress);
 
-    if (hasLerp && (progress.p !== this.progress.p)) {
+    const targets = getAxes(this.progress);
+    const isTransitioning = hasLerp && axes.some((axis, index) => axis.p !== targets[index].p || axis.springVelocity);
+    // keep ticking until velocity comes to rest
+    const isMoving = this.config.velocityActive && axes.some(axis => axis.vp);
+
+    if (isTransitioning || isMoving) {
       if (clearLerpFrame && this._lerpFrameId) {
         window.cancelAnimationFrame(this._lerpFrameId);
       }
 
-      this._lerpFrameId = window.requestAnimationFrame(() => this.tick());
+      this._lerpFrameId = window.requestAnimationFrame(frameTime => {
+        // measure here too, since this frame may run before the scroll handler's frame
+        this._measure?.();
+        this.tick(false, frameTime);
+      });
+    }
+    else {
+      // next frame starts a new sequence
+      this._lastFrameTime = null;
     }
 
-    progress.prevP = progress.p;
+    axes.forEach(axis => {
+      axis.prevP = axis.p;
+    });
   }
 
   /**
    * Calculate current progress.
+   *
+   * @param {number} [dt] time passed since previous frame in milliseconds. Defaults to a single frame at 60Hz.
+   */
+  lerp (dt = FRAME_TIME) {
+    const factor = this.config.transitionHalfLife
+      ? +(1 - Math.pow(2, -dt / this.config.transitionHalfLife)).toFixed(3)
+      : +(1 - Math.pow(this.config.transitionFriction, dt / FRAME_TIME)).toFixed(3);
+
+    this.currentProgress.p = lerp(this.currentProgress.p, this.progress.p, factor, this.config.transitionEpsilon);
+
+    if (this.currentProgress.cross) {
+      this.currentProgress.cross.p = lerp(this.currentProgress.cross.p, this.progress.cross.p, factor, this.config.transitionEpsilon);
+    }
+  }
+
+  /**
+   * Calculate current progress using spring physics.
+   *
+   * @param {number} [dt] time passed since previous frame in milliseconds. Defaults to a single frame at 60Hz.
+   */
+  spring (dt = FRAME_TIME) {
+    const params = {
+      stiffness: this.config.transitionStiffness,
+      damping: this.config.transitionDamping,
+      mass: this.config.transitionMass
+    };
+    const targets = getAxes(this.progress);
+
+    getAxes(this.currentProgress).forEach((axis, index) => {
+      const { value, velocity } = spring(axis.p, targets[index].p, axis.springVelocity, params, dt / 1000, this.config.transitionEpsilon);
+
+      axis.p = value;
+      axis.springVelocity = velocity;
+    });
+  }
+
+  /**
+   * Scroll the root to the nearest snap point of scenes on each tracked axis.
+   */
+  snap () {
+    const points = this.effect?.getSnapPoints() || [];
+    const options = {behavior: this.config.snapBehavior};
+    let shouldScroll = false;
+
+    getAxes(this.progress).forEach((axis, index) => {
+      const horizontal = index ? !this.config.horizontal : !!this.config.horizontal;
+      let nearest = null;
+
+      points.forEach(({position, horizontal: pointHorizontal}) => {
+        const distance = Math.abs(position - axis.p);
+
+        if (pointHorizontal === horizontal && distance <= this.config.snapProximity && (nearest === null || distance < Math.abs(nearest - axis.p))) {
+          nearest = position;
+        }
+      });
+
+      // skip if we're already snapped to avoid endlessly re-triggering snap
+      if (nearest !== null && Math.abs(nearest - axis.p) >= 1) {
+        options[horizontal ? 'left' : 'top'] = this.toPhysicalPosition(nearest, horizontal);
+        shouldScroll = true;
+      }
+    });
+
+    if (shouldScroll) {
+      this.config.root.scrollTo(options);
+    }
+  }
+
+  /**
+   * Register new scenes, and if already started, update them to current progress
+   * without affecting the rest of the scenes.
+   *
+   * @param {ScrollScene[]} scenes
+   */
+  addScenes (scenes) {
+    this.config.scenes = (this.config.scenes || []).concat(scenes);
+
+    if (this.effect) {
+      this.effect.addScenes(scenes);
+    }
+  }
+
+  /**
+   * Destroy scenes and remove their observations without affecting the rest of the scenes.
+   *
+   * @param {function(ScrollScene): boolean|string|ScrollScene|Array<string|ScrollScene>} query a predicate, or a single or a list of scene ids or objects
+   */
+  removeScenes (query) {
+    const match = getSceneMatcher(query);
+    const removed = this.effect
+      ? this.effect.removeScenes(query)
+      : (this.config.scenes || []).filter(scene => match(scene, scene));
+
+    if (removed.length) {
+      this.config.scenes = this.config.scenes.filter(scene => !removed.includes(scene));
+    }
+  }
+
+  /**
+   * Scroll the root to the position where a scene reaches the given progress.
+   *
+   * @param {string|ScrollScene} scene a scene id or object
+   * @param {number} [progress] between 0 and 1. Defaults to 0.
+   * @param {Object} [options]
+   * @param {ScrollBehavior} [options.behavior] `behavior` option to be used for `scrollTo()`.
+   */
+  scrollToScene (scene, progress = 0, {behavior} = {}) {
+    const position = this.effect?.getScenePosition(scene, progress);
+
+    if (!position) return;
+
+    this.config.root.scrollTo({
+      [position.horizontal ? 'left' : 'top']: this.toPhysicalPosition(position.position, position.horizontal),
+      behavior
+    });
+  }
+
+  /**
+   * Convert a logical scroll position into a physical one, as used by `scrollTo()`.
+   *
+   * @param {number} position
+   * @param {boolean} horizontal whether the position is on the horizontal axis
+   * @return {number}
+   */
+  toPhysicalPosition (position, horizontal) {
+    return this._reversed[horizontal ? 'x' : 'y'] ? -position || 0 : position;
+  }
+
+  /**
+   * Returns the scenes whose animations are run by native scroll-driven timelines, when `nativeTimelinesActive` is set.
+   *
+   * @return {ScrollScene[]}
    */
-  lerp () {
-    this.currentProgress.p = lerp(this.currentProgress.p, this.progress.p, +(1 - this.config.transitionFriction).toFixed(3), this.config.transitionEpsilon);
+  getDelegatedScenes () {
+    return this.effect?.getDelegatedScenes() || [];
+  }
+
+  /**
+   * Register a handler for an event.
+   *
+   * @param {ScrollEventType} type
+   * @param {function(*): void} handler
+   */
+  on (type, handler) {
+    let handlers = this._handlers.get(type);
+
+    if (!handlers) {
+      handlers = new Set();
+      this._handlers.set(type, handlers);
+    }
+
+    handlers.add(handler);
+  }
+
+  /**
+   * Remove a registered handler for an event.
+   *
+   * @param {ScrollEventType} type
+   * @param {function(*): void} handler
+   */
+  off (type, handler) {
+    this._handlers.get(type)?.delete(handler);
   }
 
   /**
@@ -155,6 +491,7 @@ export class Scroll {
   destroy () {
     this.pause();
     this.removeEffect();
+    this._emit('destroy');
   }
 
   /**
@@ -163,6 +500,10 @@ export class Scroll {
   setupEvent () {
     this.removeEvent();
     this.config.root.addEventListener('scroll', this._trigger);
+
+    if (this.config.snapActive) {
+      this.config.root.addEventListener('scroll', this._snapTrigger);
+    }
   }
 
   /**
@@ -170,14 +511,24 @@ export class Scroll {
    */
   removeEvent () {
     this.config.root.removeEventListener('scroll', this._trigger);
+    this.config.root.removeEventListener('scroll', this._snapTrigger);
   }
 
   /**
    * Reset registered effect.
    */
   setupEffect () {
+    const root = this.config.root;
+    const rootStyle = window.getComputedStyle(root === window ? window.document.documentElement : root);
+
+    // right-to-left and vertical writing modes reverse physical scroll positions
+    this._reversed = {
+      x: getIsReversed(rootStyle, true),
+      y: getIsReversed(rootStyle, false)
+    };
+
     this.removeEffect();
-    this.effect = getController(this.config);
+    this.effect = getController(this.config, this._emit);
   }
 
   /**
@@ -192,11 +543,25 @@ export class Scroll {
 /**
  * @typedef {object} scrollConfig
  * @property {ScrollScene[]} scenes list of effect scenes to perform during scroll.
- * @property {boolean} [horizontal] whether to use the horizontal axis. Defaults to `false`.
+ * @property {boolean} [horizontal] whether to use the horizontal axis. Defaults to `false`. Scroll positions are logical, growing from the start edge of the axis, also in right-to-left and vertical writing modes of `root`.
+ * @property {boolean} [crossAxisActive] whether to also track the cross axis, so scenes may set `horizontal` to use the other axis. Defaults to `false`.
  * @property {boolean} [transitionActive] whether to animate effect progress.
- * @property {number} [transitionFriction] between 0 to 1, amount of friction effect in the transition. 1 being no movement and 0 as no friction. Defaults to 0.4.
+ * @property {number} [transitionFriction] between 0 to 1, amount of friction effect in the transition per frame at 60Hz, and scaled accordingly for other frame rates. 1 being no movement and 0 as no friction. Defaults to 0.4.
+ * @property {number} [transitionHalfLife] time in milliseconds it takes the transition to cover half the distance to its target. Overrides `transitionFriction` if set.
+ * @property {'lerp'|'spring'} [transitionType] type of transition to use when `transitionActive` is set. Defaults to `'lerp'`.
+ * @property {number} [transitionStiffness] stiffness of the spring when `transitionType` is `'spring'`. Defaults to 170.
+ * @property {number} [transitionDamping] damping of the spring when `transitionType` is `'spring'`. Defaults to 26.
+ * @property {number} [transitionMass] mass of the spring when `transitionType` is `'spring'`. Defaults to 1.
+ * @property {number} [transitionEpsilon] minimal change of progress in pixels in a transition frame, and also the threshold for a spring to come to rest. Defaults to 1.
  * @property {boolean} [velocityActive] whether to calculate velocity with progress.
  * @property {number} [velocityMax] max possible value for velocity. Velocity value will be normalized according to this number, so it is kept between 0 and 1. Defaults to 1.
+ * @property {number|function(velocity: number, dt: number): number} [velocityDecay] between 0 to 1, portion of velocity kept in each frame at 60Hz once scrolling stops, or a function returning the decayed velocity given current velocity and time passed in milliseconds. 0 being immediate rest. Defaults to 0.
+ * @property {number} [velocitySmoothing] between 0 to 1, portion of previous velocity kept in each frame at 60Hz, for exponentially smoothing velocity. 0 being no smoothing. Defaults to 0.
+ * @property {boolean} [snapActive] whether to scroll to the nearest snap point of scenes once scrolling becomes idle. Defaults to `false`.
+ * @property {number} [snapDelay] time in milliseconds without scrolling after which scroll is considered idle. Defaults to 150.
+ * @property {number} [snapProximity] max distance in pixels from a snap point for snapping to it. Defaults to `Infinity`.
+ * @property {ScrollBehavior} [snapBehavior] `behavior` option to be used for snapping via `scrollTo()`. Defaults to `'smooth'`.
+ * @property {boolean} [nativeTimelinesActive] whether to run scenes that only drive `animations` by named ranges with native ViewTimelines, when supported. Scenes with sticky positioned sources are kept on the script path. Defaults to `false`.
  * @property {boolean} [observeViewportEntry] whether to observe entry/exit of scenes into viewport for disabling/enabling them. Defaults to `true`.
  * @property {boolean} [viewportRootMargin] `rootMargin` option to be used for viewport observation. Defaults to `'7% 7%'`.
  * @property {boolean} [observeViewportResize] whether to observe resize of the layout viewport. Defaults to `false`.
@@ -210,21 +575,78 @@ export class Scroll {
  * @typedef {Object} ScrollScene
  * @desc A configuration object for a scene. Must be provided an effect function, and either a start and end, a start and duration, or a duration as RangeName.
  * @example { effects: (scene, p) => { animation.currentTime = p; }, duration: 'contain' }
- * @property {EffectCallback} effect the effect to perform.
- * @property {number|RangeOffset} start scroll position in pixels where effect starts.
+ * @property {EffectCallback|ToggleCallback} [effect] the effect to perform. Required unless `toggle`, `keyframes`, `animations` or `cssVars` is set.
+ * @property {number|RangeOffset|string} start scroll position in pixels where effect starts, or a range offset, possibly in CSS `animation-range-start` syntax, e.g. `'contain 10%'`.
  * @property {number|RangeName} [duration] duration of effect in pixels. Defaults to end - start.
- * @property {number|RangeOffset} [end] scroll position in pixels where effect ends. Defaults to start + duration.
+ * @property {number|RangeOffset|string} [end] scroll position in pixels where effect ends, or a range offset, possibly in CSS `animation-range-end` syntax. Defaults to start + duration.
+ * @property {string} [range] start and end of the scene in CSS `animation-range` syntax, e.g. `'entry 20% exit calc(80% + 10vh)'`. Percentages are used as range offsets, and other lengths are added to the range's start. Explicit `start` and `end` take precedence.
  * @property {boolean} [disabled] whether to perform updates on the scene. Defaults to false.
  * @property {Element} [viewSource] an element to be used for observing intersection with viewport for disabling/enabling the scene, or the source of a ViewTimeline if scene start/end are provided as ranges.
  * @property {function} [destroy] a function clean up the scene when it's controller is destroyed.
  * @property {string} [groupId] a string id for a group of scenes sharing same viewSource and part of the same overall animation
+ * @property {boolean} [horizontal] whether the scene uses the horizontal axis. Requires `crossAxisActive` if different from the config's axis. Defaults to config's `horizontal`.
+ * @property {string|function(number): number} [easing] easing applied to the scene's progress before calling the effect. Either a CSS easing function string, e.g. `'ease-in'`, `'cubic-bezier(0.2, 0, 0, 1)'`, `'steps(4, jump-end)'` or `'linear(0, 0.8 25%, 1)'`, or a function. Defaults to linear.
+ * @property {boolean} [once] whether the scene's progress never decreases, and once it reaches 1 the scene is released from the controller. Defaults to `false`.
+ * @property {boolean} [destroyOnComplete] whether to call the scene's `destroy` once a play-once scene is released. Defaults to `false`.
+ * @property {number} [maxProgress] the max progress a play-once scene has reached, set by the controller.
+ * @property {SceneCallback} [onEnter] called when scroll position crosses the scene's start forward.
+ * @property {SceneCallback} [onLeave] called when scroll position crosses the scene's end forward.
+ * @property {SceneCallback} [onEnterBack] called when scroll position crosses the scene's end backward.
+ * @property {SceneCallback} [onLeaveBack] called when scroll position crosses the scene's start backward.
+ * @property {boolean} [toggle] whether the scene is a toggle scene, that exposes whether it's active instead of its progress. Its effect is called with a boolean on every change of its state.
+ * @property {Element} [toggleTarget] element to reflect a toggle scene's state on. Defaults to `viewSource`.
+ * @property {boolean|{before?: string, active?: string, after?: string}} [toggleClasses] whether to toggle classes on `toggleTarget` according to the scene's state, or a map of state to class name. Defaults to `is-before`, `is-active` and `is-after`.
+ * @property {string} [toggleAttribute] name of an attribute to set on `toggleTarget` to the scene's state, e.g. `data-scroll-state`.
+ * @property {Keyframe[]|PropertyIndexedKeyframes} [keyframes] keyframes in the Web Animations API format to interpolate by the scene's progress and write as styles of `target`. Values are interpolated number by number if they share the same structure, otherwise they switch at the middle. Writes are batched per frame.
+ * @property {Element} [target] element to apply `keyframes` styles to. Defaults to `viewSource`.
+ * @property {Animation|KeyframeEffect|Array<Animation|KeyframeEffect>} [animations] Web Animations to drive by the scene's progress, mapping it to the active duration of each effect, including its delay and iterations. Effects are wrapped with an `Animation`, and all animations are paused, also whenever the scene is disabled.
+ * @property {boolean|CSSVarsOptions} [cssVars] whether to write the scene's progress as a CSS custom property, `--fizban-progress` by default, on `target`. Properties are registered as numbers via `CSS.registerProperty()` when supported.
+ * @property {ScrollScene[]} [children] scenes nested in this scene, whose `start` and `end` are fractions of this scene's linear progress, between 0 and 1, defaulting to 0 and 1. Children are updated after their parent's effect and default their `target` to it.
+ * @property {Element[]} [elements] elements to stagger the scene over. The scene's `effect`, `easing`, `keyframes` and `cssVars` are then applied once per element, each progressing along its own part of the scene's range. The effect is called with a scene object holding the `element`, which is also its `target`, and its `index`.
+ * @property {number|string|function(index: number, count: number): number} [stagger] offset between starts of consecutive `elements`, either in pixels, as a percentage string of the scene's range, e.g. `'10%'`, or a function returning the start of an element as a fraction of the scene's progress. All elements share the same duration, so the last one ends with the scene. Defaults to 0.
+ * @property {boolean|number[]} [snap] whether to snap to start and end of the scene, or a list of progress points, between 0 and 1, to snap to. Requires `snapActive`.
+ * @property {'before'|'active'|'after'} [state] current state of the scene relative to scroll position, set by the controller.
+ * @property {string} [id] a string id of the scene, used for removing it via `Scroll.removeScenes()`.
  */
 
 /**
- * @typedef {function(scene: ScrollScene, progress: number, velocity: number): void} EffectCallback
+ * @typedef {Object} CSSVarsOptions
+ * @property {Element} [target] element to set the custom properties on. Defaults to the scene's `target`, or `viewSource`.
+ * @property {string} [progress] name of the custom property for progress. Defaults to `'--fizban-progress'`.
+ * @property {boolean|string} [velocity] whether to also write velocity, or the name of its custom property. Defaults to `'--fizban-velocity'` if `true`.
+ */
+
+/**
+ * @typedef {function(scene: ScrollScene, progress: number, velocity: number, acceleration: number, direction: number): void} EffectCallback
  * @param {ScrollScene} scene
  * @param {number} progress
  * @param {number} velocity
+ * @param {number} acceleration change of velocity since previous frame
+ * @param {number} direction 1 if last scrolled forward, -1 if last scrolled backward
+ */
+
+/**
+ * @typedef {function(scene: ScrollScene, active: boolean): void} ToggleCallback
+ * @desc Effect of a toggle scene, called when the scene's state changes.
+ * @param {ScrollScene} scene
+ * @param {boolean} active whether scroll position is inside the scene's range
+ */
+
+/**
+ * @typedef {function(scene: ScrollScene): void} SceneCallback
+ * @desc Called when scroll position crosses a scene's start or end. If a scroll jumps across the whole scene both enter and leave callbacks are called.
+ * @param {ScrollScene} scene
+ */
+
+/**
+ * @typedef {'progress' | 'sceneenter' | 'sceneleave' | 'scenecomplete' | 'rangesupdate' | 'destroy'} ScrollEventType
+ * @desc Type of event emitted by Scroll:
+ * - `progress`: scenes were updated, handler gets `{p, vp}`.
+ * - `sceneenter`: scroll position entered a scene's range, from either side, handler gets the scene.
+ * - `sceneleave`: scroll position left a scene's range, to either side, handler gets the scene.
+ * - `scenecomplete`: scroll position passed a scene's end, handler gets the scene.
+ * - `rangesupdate`: scenes' ranges were re-calculated after a resize, handler gets the updated scenes.
+ * - `destroy`: Scroll was destroyed.
  */
 
 /**
@@ -235,17 +657,26 @@ export class Scroll {
  * @typedef {Object} RangeOffset
  * @property {RangeName} name
  * @property {number} offset
- * @property {CSSUnitValue} [add]
+ * @property {string|CSSUnitValue} [add] a CSS length to add to the offset, e.g. `'calc(10vh - 2em)'`. Percentages are relative to the size of the named range.
  */
 
 /**
  * @typedef {Object} CSSUnitValue
  * @property {number} value
- * @property {'px'|'vh'|'vw'} unit
+ * @property {string} unit a CSS length unit, e.g. `'px'`, `'rem'` or `'svh'`, or `'percent'`
  */
 
 /**
  * @typedef {Object} AbsoluteOffsetContext
  * @property {number} viewportWidth
  * @property {number} viewportHeight
+ * @property {number} [smallViewportWidth] width of the small viewport, for `svw` units
+ * @property {number} [smallViewportHeight] height of the small viewport, for `svh` units
+ * @property {number} [largeViewportWidth] width of the large viewport, for `lvw` units
+ * @property {number} [largeViewportHeight] height of the large viewport, for `lvh` units
+ * @property {number} [dynamicViewportWidth] width of the dynamic viewport, for `dvw` units, updated as it changes
+ * @property {number} [dynamicViewportHeight] height of the dynamic viewport, for `dvh` units, updated as it changes
+ * @property {number} [rootFontSize] font size of the root element in pixels, for `rem` units
+ * @property {number} [fontSize] font size of the view source in pixels, for `em` units
+ * @property {number} [rangeSize] size of the named range in pixels, for percentages
  */
@@ -1,8 +1,21 @@
 import { debounce, defaultTo } from './utilities.js';
-import { getTransformedSceneGroup } from './view.js';
+import { getEasing } from './easing.js';
+import { parseRange, parseRangeOffset } from './css.js';
+import { getKeyframesInterpolator } from './keyframes.js';
+import { getHasStickyPosition, getTransformedSceneGroup } from './view.js';
 
 const VIEWPORT_RESIZE_INTERVAL = 100;
 
+/**
+ * @private
+ * @type {{before: string, active: string, after: string}}
+ */
+const DEFAULT_TOGGLE_CLASSES = {
+  before: 'is-before',
+  active: 'is-active',
+  after: 'is-after'
+};
+
 /**
  * @private
  * @type {scrollConfig}
@@ -14,8 +27,26 @@ const DEFAULTS = {
   observeViewportResize: false,
   observeSourcesResize: false,
   observeContentResize: false,
+  nativeTimelinesActive: false
+};
+
+/**
+ * @private
+ * @type {{progress: string, velocity: string}}
+ */
+const DEFAULT_CSS_VARS = {
+  progress: '--fizban-progress',
+  velocity: '--fizban-velocity'
 };
 
+/**
+ * Names of custom properties already registered in the document.
+ *
+ * @private
+ * @type {Set<string>}
+ */
+const registeredProperties = new Set();
+
 /*
  * Utilities for scroll controller
  */
@@ -44,6 +75,202 @@ function calcProgress (p, start, end, duration) {
   return progress;
 }
 
+/**
+ * Utility for rounding progress of an axis.
+ *
+ * @private
+ * @param {{p: number, vp: number, ap?: number, direction?: number}} progress
+ * @return {{p: number, vp: number, ap: number, direction: number}}
+ */
+function roundProgress ({p, vp, ap = 0, direction = 1}) {
+  return {
+    p: +p.toFixed(1),
+    vp: +vp.toFixed(4),
+    ap: +ap.toFixed(4),
+    direction
+  };
+}
+
+/**
+ * Utility for getting the state of a scene relative to current scroll position.
+ *
+ * @private
+ * @param {number} p current scroll position
+ * @param {number} start start position
+ * @param {number} end end position
+ * @return {'before'|'active'|'after'}
+ */
+function getSceneState (p, start, end) {
+  return p < start ? 'before' : p >= end ? 'after' : 'active';
+}
+
+/**
+ * Returns the class names a toggle scene sets on its target by state.
+ *
+ * @private
+ * @param {ScrollScene} scene
+ * @return {{before: string, active: string, after: string}}
+ */
+function getToggleClasses (scene) {
+  return scene.toggleClasses === true
+    ? DEFAULT_TOGGLE_CLASSES
+    : {...DEFAULT_TOGGLE_CLASSES, ...scene.toggleClasses};
+}
+
+/**
+ * Reflect a toggle scene's state on its target element and run its effect.
+ *
+ * @private
+ * @param {ScrollScene} scene
+ * @param {'before'|'active'|'after'} state
+ */
+function applySceneToggle (scene, state) {
+  const target = scene.toggleTarget || scene.viewSource;
+
+  if (target) {
+    if (scene.toggleClasses) {
+      Object.entries(getToggleClasses(scene)).forEach(([key, className]) => {
+        target.classList.toggle(className, key === state);
+      });
+    }
+
+    if (scene.toggleAttribute) {
+      target.setAttribute(scene.toggleAttribute, state);
+    }
+  }
+
+  scene.effect?.(scene, state === 'active');
+}
+
+/**
+ * Remove a toggle scene's state classes and attribute from its target element.
+ *
+ * @private
+ * @param {ScrollScene} scene
+ */
+function clearSceneToggle (scene) {
+  const target = scene.toggleTarget || scene.viewSource;
+
+  if (!target) return;
+
+  if (scene.toggleClasses) {
+    target.classList.remove(...Object.values(getToggleClasses(scene)));
+  }
+
+  if (scene.toggleAttribute) {
+    target.removeAttribute(scene.toggleAttribute);
+  }
+}
+
+/**
+ * Returns the custom properties a scene writes its progress and velocity to.
+ *
+ * @private
+ * @param {ScrollScene} scene
+ * @return {{target: HTMLElement|null, progress: string, velocity: string|null}}
+ */
+function getSceneCSSVars (scene) {
+  const options = scene.cssVars === true ? {} : scene.cssVars;
+  const velocity = options.velocity === true ? DEFAULT_CSS_VARS.velocity : options.velocity || null;
+
+  return {
+    target: options.target || null,
+    progress: options.progress || DEFAULT_CSS_VARS.progress,
+    velocity
+  };
+}
+
+/**
+ * Register a custom property as a number, if supported and not registered yet, so it can be animated and used in `calc()`.
+ *
+ * @private
+ * @param {string} name
+ */
+function registerProperty (name) {
+  if (registeredProperties.has(name) || !window.CSS?.registerProperty) return;
+
+  registeredProperties.add(name);
+
+  try {
+    window.CSS.registerProperty({
+      name,
+      syntax: '<number>',
+      inherits: true,
+      initialValue: '0'
+    });
+  }
+  catch (e) {
+    // already registered, e.g. via @property
+  }
+}
+
+/**
+ * Returns the start of an element's range in a staggered scene, as a fraction of the scene's progress.
+ *
+ * @private
+ * @param {number|string|function(number, number): number} stagger amount in pixels, a percentage string, or a function returning the fraction
+ * @param {number} duration duration of the scene in pixels
+ * @param {number} index index of the element
+ * @param {number} count number of elements
+ * @return {number}
+ */
+function getStaggerStart (stagger, duration, index, count) {
+  if (typeof stagger === 'function') {
+    return stagger(index, count);
+  }
+
+  if (typeof stagger === 'string') {
+    if (!/^(\d+\.?\d*|\.\d+)%$/.test(stagger.trim())) {
+      throw new SyntaxError(`Invalid stagger: "${stagger}"`);
+    }
+
+    return index * parseFloat(stagger) / 100;
+  }
+
+  return duration ? index * stagger / duration : 0;
+}
+
+/**
+ * Convert a range offset into a CSS `animation-range` value.
+ *
+ * @private
+ * @param {RangeOffset} range
+ * @return {string}
+ */
+function getRangeString ({name, offset = 0, add}) {
+  if (add && typeof add === 'object') {
+    add = `${add.value}${add.unit === 'percent' ? '%' : add.unit}`;
+  }
+
+  return add ? `${name} calc(${offset}% + ${add})` : `${name} ${offset}%`;
+}
+
+/**
+ * Returns a scene's range as CSS `animation-range-start` and `animation-range-end` values,
+ * or `null` if it's not defined by named ranges.
+ *
+ * @private
+ * @param {ScrollScene} scene
+ * @return {{rangeStart: string, rangeEnd: string}|null}
+ */
+function getNativeRange (scene) {
+  if (typeof scene.duration === 'string') {
+    return {
+      rangeStart: getRangeString({name: scene.duration, offset: 0}),
+      rangeEnd: getRangeString({name: scene.duration, offset: 100})
+    };
+  }
+
+  if (scene.start?.name && scene.end?.name) {
+    return {
+      rangeStart: getRangeString(scene.start),
+      rangeEnd: getRangeString(scene.end)
+    };
+  }
+
+  return null;
+}
+
 /**
  *
  * @param {Window|HTMLElement} root
@@ -60,14 +287,129 @@ function getViewportSize (root, isHorizontal) {
   return isHorizontal ? root.clientWidth : root.clientHeight;
 }
 
-function getAbsoluteOffsetContext () {
-  // TODO: re-calc on viewport resize
+/**
+ * Measure sizes of the small, large and/or dynamic viewports, using a probe element sized by their units.
+ * Falls back to size of the layout viewport if these units are not supported.
+ *
+ * @private
+ * @param {Array<'small'|'large'|'dynamic'>} types
+ * @return {Object<string, number>} sizes by property names of {@link AbsoluteOffsetContext}
+ */
+function measureViewportUnits (types) {
+  const documentElement = window.document.documentElement;
+  const sizes = {};
+  let probe;
+
+  if (!types.length) return sizes;
+
+  if (window.CSS?.supports?.('height', '1svh')) {
+    probe = window.document.createElement('div');
+    probe.style.cssText = 'position: fixed; top: 0; left: 0; visibility: hidden; pointer-events: none;';
+    window.document.body.appendChild(probe);
+  }
+
+  types.forEach(type => {
+    if (probe) {
+      probe.style.width = `100${type[0]}vw`;
+      probe.style.height = `100${type[0]}vh`;
+    }
+
+    sizes[`${type}ViewportWidth`] = probe ? probe.offsetWidth : documentElement.clientWidth;
+    sizes[`${type}ViewportHeight`] = probe ? probe.offsetHeight : documentElement.clientHeight;
+  });
+
+  probe?.remove();
+
+  return sizes;
+}
+
+/**
+ * Viewport types by prefix of their units.
+ *
+ * @private
+ * @type {Object<string, 'small'|'large'|'dynamic'>}
+ */
+const VIEWPORT_UNIT_TYPES = {
+  s: 'small',
+  l: 'large',
+  d: 'dynamic'
+};
+
+/**
+ * Returns the types of viewports whose units a group of scenes uses in its ranges.
+ *
+ * @private
+ * @param {ScrollScene[]} sceneGroup
+ * @return {Set<'small'|'large'|'dynamic'>}
+ */
+function getViewportUnitTypes (sceneGroup) {
+  const types = new Set();
+
+  sceneGroup.forEach(scene => {
+    // ranges are kept as `startRange` and `endRange` once transformed into offsets
+    [scene.startRange || scene.start, scene.endRange || scene.end].forEach(range => {
+      const add = range?.add;
+      const units = typeof add === 'string' ? add.match(/\d[sld]v(h|w|min|max)\b/gi) || [] : [add?.unit || ''];
+
+      units.forEach(unit => {
+        const match = unit.match(/([sld])v(h|w|min|max)$/i);
+
+        if (match) {
+          types.add(VIEWPORT_UNIT_TYPES[match[1].toLowerCase()]);
+        }
+      });
+    });
+  });
+
+  return types;
+}
+
+/**
+ * Returns whether a group of scenes uses dynamic viewport units in its ranges.
+ *
+ * @private
+ * @param {ScrollScene[]} sceneGroup
+ * @return {boolean}
+ */
+function getUsesDynamicViewportUnits (sceneGroup) {
+  return getViewportUnitTypes(sceneGroup).has('dynamic');
+}
+
+/**
+ * Measure sizes that absolute offsets in ranges are relative to.
+ *
+ * @private
+ * @param {Array<'small'|'large'|'dynamic'>} [types] types of viewports to measure, besides the layout viewport
+ * @return {AbsoluteOffsetContext}
+ */
+function getAbsoluteOffsetContext (types = []) {
+  const documentElement = window.document.documentElement;
+
   return {
-    viewportWidth: window.document.documentElement.clientWidth,
-    viewportHeight: window.document.documentElement.clientHeight
+    viewportWidth: documentElement.clientWidth,
+    viewportHeight: documentElement.clientHeight,
+    rootFontSize: parseFloat(window.getComputedStyle(documentElement).fontSize) || 16,
+    ...measureViewportUnits(types)
   };
 }
 
+/**
+ * Returns a function for matching scenes by a predicate, or by a single or a list of scene ids or objects.
+ *
+ * @private
+ * @param {function(ScrollScene): boolean|string|ScrollScene|Array<string|ScrollScene>} query
+ * @return {function(ScrollScene, ScrollScene): boolean}
+ */
+export function getSceneMatcher (query) {
+  if (typeof query === 'function') {
+    return query;
+  }
+
+  const ids = [].concat(query);
+
+  return (scene, origin) => ids.some(id => id === scene || id === origin || (scene.id != null && id === scene.id));
+}
+
 /*
  * Scroll controller factory
  */
@@ -77,204 +419,975 @@ function getAbsoluteOffsetContext () {
  *
  * @private
  * @param {scrollConfig} config
- * @return {{tick: function, destroy: function}}
+ * @param {function(string, *): void} [emit] a function for emitting events
+ * @return {{tick: function, destroy: function, addScenes: function, removeScenes: function, getScenePosition: function, getSnapPoints: function, getDelegatedScenes: function}}
  */
-export function getController (config) {
+export function getController (config, emit = () => {}) {
   const _config = defaultTo(config, DEFAULTS);
   const root = _config.root;
   const horizontal = _config.horizontal;
+  const observedEntryElements = new Set();
   const scenesByElement = new WeakMap();
-  let viewportSize = getViewportSize(root, horizontal);
+  const sceneOrigins = new WeakMap();
+  const keyframesInterpolators = new WeakMap();
+  const sceneAnimations = new WeakMap();
+  const delegatedScenes = new Set();
+  // completed play-once scenes that are still destroyed with the controller
+  const completedScenes = new Set();
+  const staggeredScenes = new WeakMap();
+  const appliedStyles = new WeakMap();
+  const pendingStyles = new Map();
+  const viewportSize = {
+    x: getViewportSize(root, true),
+    y: getViewportSize(root, false)
+  };
 
-  let lastP;
-  let viewportObserver, rangesResizeObserver, viewportResizeHandler, scrollportResizeObserver;
+  let lastProgress;
+  let viewportObserver, rangesResizeObserver, contentResizeObserver, viewportResizeHandler, scrollportResizeObserver, dynamicViewportHandler;
   const rangesToObserve = [];
-  const absoluteOffsetContext = getAbsoluteOffsetContext()
+  // updated in place on viewport resize
+  const absoluteOffsetContext = getAbsoluteOffsetContext();
 
-  /*
-   * Prepare scenes data.
+  /**
+   * Convert a group of scenes from ranges into offsets, keeping track of the original scenes.
+   *
+   * @private
+   * @param {ScrollScene[]} sceneGroup
+   * @return {ScrollScene[]}
    */
-  _config.scenes = Object.values(
-    // TODO(ameerf): find a polyfill and use groupBy instead of following reduce
-    config.scenes.reduce((acc, scene, index) => {
-      const key = scene.groupId ? `group-${scene.groupId}` : String(index);
-      if (acc[key]) {
-        acc[key].push(scene)
-      } else {
-        acc[key] = [scene];
-      }
-      return acc;
-    },
-    {})
-  ).flatMap(sceneGroup => {
-    if (sceneGroup.every(scene => (scene.viewSource && (typeof scene.duration === 'string' || scene.start?.name)))) {
-      sceneGroup = getTransformedSceneGroup(sceneGroup, root, viewportSize, horizontal, absoluteOffsetContext);
-      if (_config.observeSourcesResize || _config.observeContentResize) {
-        rangesToObserve.push(sceneGroup);
-      }
-    } else {
-      sceneGroup.forEach(scene => {
-        if (scene.end == null) {
-          scene.end = scene.start + scene.duration;
-        }
-        if (scene.duration == null) {
-          scene.duration = scene.end - scene.start;
-        }
-      });
-    }
-
-    return sceneGroup;
-  });
-  _config.scenes.forEach((scene, index) => {scene.index = index;});
+  function transformSceneGroup (sceneGroup) {
+    const isHorizontal = getIsHorizontal(sceneGroup[0]);
+    // small, large and dynamic viewports are only measured once their units are used
+    const unmeasuredTypes = [...getViewportUnitTypes(sceneGroup)].filter(type => absoluteOffsetContext[`${type}ViewportWidth`] == null);
 
-  if (rangesToObserve.length) {
-    const targetToSceneGroup = new Map();
+    Object.assign(absoluteOffsetContext, measureViewportUnits(unmeasuredTypes));
 
-    if (window.ResizeObserver) {
-      /*
-       * Observe resize of view-timeline subjects.
-       */
-      rangesResizeObserver = new window.ResizeObserver(function (entries) {
-        entries.forEach(entry => {
-          const sceneGroup = targetToSceneGroup.get(entry.target);
-          // TODO: try to optimize by using `const {blockSize, inlineSize} = entry.borderBoxSize[0]`
-          const transformedSceneGroup = getTransformedSceneGroup(sceneGroup, root, viewportSize, horizontal, absoluteOffsetContext);
-          transformedSceneGroup.forEach((scene, localIndex) => {_config.scenes[scene.index] = transformedSceneGroup[localIndex];});
-          // replace the old object from the cache with the new one
-          rangesToObserve.splice(rangesToObserve.indexOf(sceneGroup), 1, transformedSceneGroup);
-        });
-      });
-
-      rangesToObserve.forEach(sceneGroup => {
-        rangesResizeObserver.observe(sceneGroup[0].viewSource, {box: 'border-box'});
-        targetToSceneGroup.set(sceneGroup[0].viewSource, sceneGroup);
-      });
-
-      /*
-       * Observe resize of content root.
-       */
-      if (_config.observeContentResize && _config.contentRoot) {
-        const contentResizeObserver = new window.ResizeObserver(debounce(() => {
-          const newRanges = rangesToObserve.map(sceneGroup => {
-            const newSceneGroup = getTransformedSceneGroup(sceneGroup, root, viewportSize, horizontal, absoluteOffsetContext);
-            newSceneGroup.forEach((scene, localIndex) => {_config.scenes[scene.index] = newSceneGroup[localIndex];});
-
-            return newSceneGroup;
-          });
+    const transformedSceneGroup = getTransformedSceneGroup(sceneGroup, root, viewportSize[isHorizontal ? 'x' : 'y'], isHorizontal, absoluteOffsetContext);
 
-          // reset cache
-          rangesToObserve.length = 0;
-          rangesToObserve.push(...newRanges);
-          rangesToObserve.forEach(sceneGroup => {
-            targetToSceneGroup.set(sceneGroup[0].viewSource, sceneGroup);
-          });
-        }, VIEWPORT_RESIZE_INTERVAL));
+    transformedSceneGroup.forEach((scene, localIndex) => {
+      sceneOrigins.set(scene, getSceneOrigin(sceneGroup[localIndex]));
+    });
 
-        contentResizeObserver.observe(_config.contentRoot, {box: 'border-box'});
-      }
-    }
+    return transformedSceneGroup;
+  }
 
-    if (_config.observeViewportResize) {
-      viewportResizeHandler = debounce(function () {
-        viewportSize = getViewportSize(root, horizontal);
+  /**
+   * Returns whether a scene uses the horizontal axis.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {boolean}
+   */
+  function getIsHorizontal (scene) {
+    return scene.horizontal ?? horizontal;
+  }
 
-        const newRanges = rangesToObserve.map(sceneGroup => {
-          const newSceneGroup = getTransformedSceneGroup(sceneGroup, root, viewportSize, horizontal, absoluteOffsetContext);
-          newSceneGroup.forEach((scene, localIndex) => {_config.scenes[scene.index] = newSceneGroup[localIndex];});
+  /**
+   * Returns the scroll position where a scene reaches the given progress, and its axis.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {number} progress
+   * @return {{position: number, horizontal: boolean}}
+   */
+  function getProgressPosition (scene, progress) {
+    return {
+      position: scene.start + progress * scene.duration,
+      horizontal: getIsHorizontal(scene)
+    };
+  }
 
-          return newSceneGroup;
-        });
+  /**
+   * Returns the scene object originally passed in by the user.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {ScrollScene}
+   */
+  function getSceneOrigin (scene) {
+    return sceneOrigins.get(scene) || scene;
+  }
 
-        // reset cache
-        rangesToObserve.length = 0;
-        rangesToObserve.push(...newRanges);
-        rangesToObserve.forEach(sceneGroup => {
-          targetToSceneGroup.set(sceneGroup[0].viewSource, sceneGroup);
-        });
-      }, VIEWPORT_RESIZE_INTERVAL);
+  /**
+   * Returns all registered scenes matching the given query.
+   *
+   * @private
+   * @param {function(ScrollScene): boolean|string|ScrollScene|Array<string|ScrollScene>} query
+   * @return {ScrollScene[]}
+   */
+  function findScenes (query) {
+    const match = getSceneMatcher(query);
 
-      if (root === window) {
-        window.addEventListener('resize', viewportResizeHandler);
-      }
-      else if (window.ResizeObserver) {
-        scrollportResizeObserver = new window.ResizeObserver(viewportResizeHandler);
-        scrollportResizeObserver.observe(root, {box: 'border-box'});
-      }
-    }
+    return _config.scenes.filter(scene => match(scene, getSceneOrigin(scene)));
   }
 
-  /*
-   * Observe entry and exit of scenes into view
+  /**
+   * Re-transform all observed groups of scenes and replace them in place.
+   *
+   * @private
+   * @param {ScrollScene[][]} sceneGroups
    */
-  if (_config.observeViewportEntry && window.IntersectionObserver) {
-    viewportObserver = new window.IntersectionObserver(function (intersections) {
-      intersections.forEach(intersection => {
-        (scenesByElement.get(intersection.target) || []).forEach(scene => {
-          scene.disabled = !intersection.isIntersecting;
-        });
-      });
-    }, {
-      root: root === window ? window.document : root,
-      rootMargin: _config.viewportRootMargin,
-      threshold: 0
-    });
-
-    _config.scenes.forEach(scene => {
-      if (scene.viewSource) {
-        let scenesArray = scenesByElement.get(scene.viewSource);
+  function updateSceneGroups (sceneGroups) {
+    if (!sceneGroups.length) return;
 
-        if (!scenesArray) {
-          scenesArray = [];
-          scenesByElement.set(scene.viewSource, scenesArray);
+    const updatedScenes = sceneGroups.flatMap(sceneGroup => {
+      const newSceneGroup = transformSceneGroup(sceneGroup);
+      newSceneGroup.forEach((scene, localIndex) => {
+        _config.scenes[scene.index] = scene;
+        updateStaggeredScenes(scene);
 
-          viewportObserver.observe(scene.viewSource);
+        if (scene.viewSource) {
+          const elementScenes = scenesByElement.get(scene.viewSource);
+          elementScenes[elementScenes.indexOf(sceneGroup[localIndex])] = scene;
         }
+      });
+      // replace the old object from the cache with the new one
+      rangesToObserve.splice(rangesToObserve.indexOf(sceneGroup), 1, newSceneGroup);
 
-        scenesArray.push(scene);
-      }
+      return newSceneGroup;
     });
+
+    emit('rangesupdate', updatedScenes);
   }
 
   /**
-   * Updates progress in all scene effects.
+   * Group scenes by their `groupId` and convert their ranges into offsets.
    *
    * @private
-   * @param {Object} progress
-   * @param {number} progress.p
-   * @param {number} progress.vp
+   * @param {ScrollScene[]} scenes
+   * @return {ScrollScene[]}
    */
-  function tick ({p, vp}) {
-    p = +p.toFixed(1);
+  function prepareScenes (scenes) {
+    return Object.values(
+      // TODO(ameerf): find a polyfill and use groupBy instead of following reduce
+      scenes.reduce((acc, scene, index) => {
+        const key = scene.groupId ? `group-${scene.groupId}-${getIsHorizontal(scene) ? 'x' : 'y'}` : String(index);
+        if (acc[key]) {
+          acc[key].push(scene)
+        } else {
+          acc[key] = [scene];
+        }
+        return acc;
+      },
+      {})
+    ).flatMap(sceneGroup => {
+      if (sceneGroup.every(scene => (scene.viewSource && (typeof scene.duration === 'string' || scene.start?.name)))) {
+        sceneGroup = transformSceneGroup(sceneGroup);
+        rangesToObserve.push(sceneGroup);
 
-    const velocity = +vp.toFixed(4);
+        if (_config.observeSourcesResize || _config.observeContentResize) {
+          observeSceneGroupResize(sceneGroup);
+        }
 
-    // if nothing changed bail out
-    if (p === lastP) return;
+        if (_config.observeViewportResize) {
+          observeViewportResize();
+        }
 
-    /*
-     * Perform scene progression.
-     */
-    for (let scene of _config.scenes) {
-      // if active
-      if (!scene.disabled) {
-        const {start, end, duration} = scene;
-        // calculate scene's progress
-        const progress = calcProgress(p, start, end, duration);
-
-        // run effect
-        scene.effect(scene, progress, velocity);
+        if (getUsesDynamicViewportUnits(sceneGroup)) {
+          observeDynamicViewport();
+        }
+      } else {
+        sceneGroup.forEach(scene => {
+          if (scene.end == null) {
+            scene.end = scene.start + scene.duration;
+          }
+          if (scene.duration == null) {
+            scene.duration = scene.end - scene.start;
+          }
+        });
       }
-    }
 
-    // cache last position
-    lastP = p;
+      return sceneGroup;
+    });
   }
 
   /**
-   * Removes all side effects and deletes all objects.
+   * Observe resize of a group's view-timeline subject, and setup observer of resize of content.
+   *
+   * @private
+   * @param {ScrollScene[]} sceneGroup
+   */
+  function observeSceneGroupResize (sceneGroup) {
+    if (window.ResizeObserver) {
+      if (!rangesResizeObserver) {
+        /*
+         * Observe resize of view-timeline subjects.
+         */
+        rangesResizeObserver = new window.ResizeObserver(function (entries) {
+          entries.forEach(entry => {
+            // TODO: try to optimize by using `const {blockSize, inlineSize} = entry.borderBoxSize[0]`
+            updateSceneGroups(rangesToObserve.filter(sceneGroup => sceneGroup[0].viewSource === entry.target));
+          });
+        });
+
+        /*
+         * Observe resize of content root.
+         */
+        if (_config.observeContentResize && _config.contentRoot) {
+          contentResizeObserver = new window.ResizeObserver(debounce(() => {
+            updateSceneGroups(rangesToObserve.slice());
+          }, VIEWPORT_RESIZE_INTERVAL));
+
+          contentResizeObserver.observe(_config.contentRoot, {box: 'border-box'});
+        }
+      }
+
+      rangesResizeObserver.observe(sceneGroup[0].viewSource, {box: 'border-box'});
+    }
+  }
+
+  /**
+   * Observe resize of the viewport, re-measuring it and updating all groups of scenes.
+   *
+   * @private
+   */
+  function observeViewportResize () {
+    if (viewportResizeHandler) return;
+
+    viewportResizeHandler = debounce(function () {
+      viewportSize.x = getViewportSize(root, true);
+      viewportSize.y = getViewportSize(root, false);
+      const measuredTypes = Object.values(VIEWPORT_UNIT_TYPES).filter(type => absoluteOffsetContext[`${type}ViewportWidth`] != null);
+
+      Object.assign(absoluteOffsetContext, getAbsoluteOffsetContext(measuredTypes));
+
+      updateSceneGroups(rangesToObserve.slice());
+    }, VIEWPORT_RESIZE_INTERVAL);
+
+    if (root === window) {
+      window.addEventListener('resize', viewportResizeHandler);
+    }
+    else if (window.ResizeObserver) {
+      scrollportResizeObserver = new window.ResizeObserver(viewportResizeHandler);
+      scrollportResizeObserver.observe(root, {box: 'border-box'});
+    }
+  }
+
+  /**
+   * Observe changes of the dynamic viewport, e.g. when toolbars of mobile browsers show or hide,
+   * and update groups of scenes using dynamic viewport units.
+   *
+   * @private
+   */
+  function observeDynamicViewport () {
+    if (dynamicViewportHandler) return;
+
+    dynamicViewportHandler = debounce(function () {
+      const sizes = measureViewportUnits(['dynamic']);
+
+      if (Object.entries(sizes).every(([key, value]) => absoluteOffsetContext[key] === value)) return;
+
+      Object.assign(absoluteOffsetContext, sizes);
+
+      updateSceneGroups(rangesToObserve.filter(getUsesDynamicViewportUnits));
+    }, VIEWPORT_RESIZE_INTERVAL);
+
+    (window.visualViewport || window).addEventListener('resize', dynamicViewportHandler);
+  }
+
+  /**
+   * Observe entry and exit of scenes into view
+   *
+   * @private
+   * @param {ScrollScene[]} scenes
+   */
+  function observeViewportEntry (scenes) {
+    if (!_config.observeViewportEntry || !window.IntersectionObserver) return;
+
+    if (!viewportObserver) {
+      viewportObserver = new window.IntersectionObserver(function (intersections) {
+        intersections.forEach(intersection => {
+          (scenesByElement.get(intersection.target) || []).forEach(scene => {
+            scene.disabled = !intersection.isIntersecting;
+
+            if (scene.disabled && !delegatedScenes.has(getSceneOrigin(scene))) {
+              getAnimations(scene).forEach(animation => animation.pause());
+            }
+          });
+        });
+      }, {
+        root: root === window ? window.document : root,
+        rootMargin: _config.viewportRootMargin,
+        threshold: 0
+      });
+    }
+
+    scenes.forEach(scene => {
+      if (!scene.viewSource) return;
+
+      if (observedEntryElements.has(scene.viewSource)) {
+        // the observer only reports changes, so take the current intersection from a scene of the same element
+        const observed = scenesByElement.get(scene.viewSource).find(other => other !== scene && other.disabled != null);
+
+        if (observed) {
+          scene.disabled = observed.disabled;
+        }
+      }
+      else {
+        observedEntryElements.add(scene.viewSource);
+        viewportObserver.observe(scene.viewSource);
+      }
+    });
+  }
+
+  /**
+   * Calculates a scene's progress and runs its effect.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {{p: number, vp: number, ap: number, direction: number}} axisProgress
+   * @param {HTMLElement} [parentTarget] target of a parent scene, used as default target of its children
+   */
+  function applySceneEffect (scene, {p, vp, ap, direction}, parentTarget) {
+    const {start, end, duration} = scene;
+    // calculate scene's progress
+    let linearProgress = calcProgress(p, start, end, duration);
+
+    if (scene.once) {
+      // play-once scenes never go back
+      linearProgress = Math.max(linearProgress, scene.maxProgress || 0);
+      scene.maxProgress = linearProgress;
+    }
+
+    const progress = scene.easing ? getEasing(scene.easing)(linearProgress) : linearProgress;
+
+    if (!delegatedScenes.has(getSceneOrigin(scene))) {
+      driveAnimations(scene, progress);
+    }
+
+    const target = scene.target || scene.viewSource || parentTarget;
+
+    if (scene.elements) {
+      // staggered scenes output per element instead
+      getStaggeredScenes(scene).forEach(child => {
+        applySceneEffect(child, {p: linearProgress, vp, ap, direction});
+      });
+    }
+    else {
+      if (scene.keyframes) {
+        queueStyles(target, keyframesInterpolators.get(scene.keyframes)(progress));
+      }
+
+      if (scene.cssVars) {
+        const cssVars = getSceneCSSVars(scene);
+        const styles = {[cssVars.progress]: String(+progress.toFixed(4))};
+
+        if (cssVars.velocity) {
+          styles[cssVars.velocity] = String(vp);
+        }
+
+        queueStyles(cssVars.target || target, styles);
+      }
+
+      // run effect
+      scene.effect?.(scene, progress, vp, ap, direction);
+    }
+
+    // children progress by the parent's linear progress
+    scene.children?.forEach(child => {
+      applySceneEffect(child, {p: linearProgress, vp, ap, direction}, target);
+    });
+  }
+
+  /**
+   * Updates the ranges of the elements of a staggered scene, and of its staggered children, to their durations.
+   * Called on registration and whenever the scene's range changes, so staggering isn't computed on every frame.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   */
+  function updateStaggeredScenes (scene) {
+    scene.children?.forEach(updateStaggeredScenes);
+
+    if (!scene.elements) return;
+
+    const staggered = getStaggeredScenes(scene);
+    const count = staggered.length;
+    const starts = staggered.map((child, index) => getStaggerStart(scene.stagger || 0, scene.duration, index, count));
+    // all elements share the same duration so the last one ends with the scene
+    const duration = Math.max(0, 1 - Math.max(...starts));
+
+    staggered.forEach((child, index) => {
+      child.start = starts[index];
+      child.end = starts[index] + duration;
+      child.duration = duration;
+    });
+  }
+
+  /**
+   * Returns the scenes of each element of a staggered scene, which share the scene's outputs with the element as target.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {ScrollScene[]}
+   */
+  function getStaggeredScenes (scene) {
+    const origin = getSceneOrigin(scene);
+    let staggered = staggeredScenes.get(origin);
+
+    if (!staggered) {
+      staggered = [...scene.elements].map((element, index) => ({
+        index,
+        element,
+        target: element,
+        effect: scene.effect,
+        easing: scene.easing,
+        keyframes: scene.keyframes,
+        cssVars: scene.cssVars
+      }));
+
+      staggeredScenes.set(origin, staggered);
+    }
+
+    return staggered;
+  }
+
+  /**
+   * Sets current time of a scene's animations according to its progress.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {number} progress
+   */
+  function driveAnimations (scene, progress) {
+    getAnimations(scene).forEach(animation => {
+      const {delay, duration, activeDuration} = animation.effect.getComputedTiming();
+
+      // infinitely iterating effects are scrubbed across a single iteration
+      animation.currentTime = delay + progress * (Number.isFinite(activeDuration) ? activeDuration : duration);
+    });
+  }
+
+  /**
+   * Hands a scene's animations to a native ViewTimeline, if supported and the scene only drives animations
+   * by ranges that can be expressed natively.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {boolean} whether the scene was delegated
+   */
+  function delegateScene (scene) {
+    if (
+      !_config.nativeTimelinesActive || !window.ViewTimeline || !window.ScrollTimeline
+      || !scene.animations || !scene.viewSource
+      || scene.effect || scene.keyframes || scene.cssVars || scene.easing || scene.once || scene.toggle || scene.children || scene.elements
+    ) return false;
+
+    const range = getNativeRange(scene);
+
+    // sticky intervals can't be expressed by native ranges
+    if (!range || getHasStickyPosition(scene.viewSource, root)) return false;
+
+    getAnimations(scene).forEach(animation => {
+      animation.timeline = new window.ViewTimeline({
+        subject: scene.viewSource,
+        axis: getIsHorizontal(scene) ? 'x' : 'y'
+      });
+      animation.rangeStart = range.rangeStart;
+      animation.rangeEnd = range.rangeEnd;
+      animation.play();
+    });
+
+    delegatedScenes.add(getSceneOrigin(scene));
+
+    return true;
+  }
+
+  /**
+   * Returns the paused animations driven by a scene, wrapping given effects with animations.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {Animation[]}
+   */
+  function getAnimations (scene) {
+    if (!scene.animations) return [];
+
+    let animations = sceneAnimations.get(scene.animations);
+
+    if (!animations) {
+      animations = [].concat(scene.animations).map(animation => {
+        // a KeyframeEffect has timing of its own, while an Animation holds its effect
+        if (typeof animation.getComputedTiming === 'function') {
+          animation = new window.Animation(animation);
+        }
+
+        animation.pause();
+
+        return animation;
+      });
+
+      sceneAnimations.set(scene.animations, animations);
+    }
+
+    return animations;
+  }
+
+  /**
+   * Queues styles to be written to a target element on next flush, skipping values that are already set.
+   *
+   * @private
+   * @param {HTMLElement} target
+   * @param {Object<string, string>} styles
+   */
+  function queueStyles (target, styles) {
+    const applied = appliedStyles.get(target) || {};
+    const pending = pendingStyles.get(target) || {};
+
+    Object.entries(styles).forEach(([name, value]) => {
+      if (applied[name] !== value) {
+        pending[name] = value;
+      }
+      else {
+        delete pending[name];
+      }
+    });
+
+    pendingStyles.set(target, pending);
+  }
+
+  /**
+   * Writes all queued styles to their targets in one go.
+   *
+   * @private
+   */
+  function flushStyles () {
+    pendingStyles.forEach((styles, target) => {
+      const applied = appliedStyles.get(target) || {};
+
+      Object.entries(styles).forEach(([name, value]) => {
+        target.style.setProperty(name, value);
+        applied[name] = value;
+      });
+
+      appliedStyles.set(target, applied);
+    });
+
+    pendingStyles.clear();
+  }
+
+  /**
+   * Removes styles written to a target element, and drops any that are still queued.
+   *
+   * @private
+   * @param {HTMLElement} target
+   * @param {string[]} names
+   */
+  function removeStyles (target, names) {
+    const applied = appliedStyles.get(target);
+    const pending = pendingStyles.get(target);
+
+    names.forEach(name => {
+      if (applied && name in applied) {
+        target.style.removeProperty(name);
+        delete applied[name];
+      }
+
+      if (pending) {
+        delete pending[name];
+      }
+    });
+  }
+
+  /**
+   * Removes the styles a scene, its staggered elements and its children wrote to their targets.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {HTMLElement} [parentTarget]
+   */
+  function clearSceneStyles (scene, parentTarget) {
+    const target = scene.target || scene.viewSource || parentTarget;
+
+    if (scene.elements) {
+      staggeredScenes.get(getSceneOrigin(scene))?.forEach(child => clearSceneStyles(child));
+    }
+    else {
+      if (scene.keyframes && target) {
+        removeStyles(target, Object.keys(keyframesInterpolators.get(scene.keyframes)(0)));
+      }
+
+      if (scene.cssVars) {
+        const {target: cssVarsTarget, progress, velocity} = getSceneCSSVars(scene);
+
+        removeStyles(cssVarsTarget || target, velocity ? [progress, velocity] : [progress]);
+      }
+    }
+
+    scene.children?.forEach(child => clearSceneStyles(child, target));
+  }
+
+  /**
+   * Updates a scene's state, emits events and calls the scene's callbacks for every crossing of its start or end.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {number} p
+   */
+  function updateSceneState (scene, p) {
+    const isInitial = !scene.state;
+    const prevState = scene.state || 'before';
+    const state = getSceneState(p, scene.start, scene.end);
+
+    scene.state = state;
+
+    if (scene.toggle && (isInitial || state !== prevState)) {
+      applySceneToggle(scene, state);
+    }
+
+    if (state === prevState) return;
+
+    const isForward = prevState === 'before' || state === 'after';
+
+    // if we were outside the range we entered it, even if we jumped across it in one go
+    if (prevState !== 'active') {
+      emit('sceneenter', scene);
+      (isForward ? scene.onEnter : scene.onEnterBack)?.(scene);
+    }
+
+    if (state !== 'active') {
+      emit('sceneleave', scene);
+      (isForward ? scene.onLeave : scene.onLeaveBack)?.(scene);
+
+      if (state === 'after') {
+        emit('scenecomplete', scene);
+      }
+    }
+  }
+
+  /**
+   * Updates a scene's state and effect according to progress of its axis.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {{p: number, vp: number, ap: number, direction: number, cross?: Object}} progress
+   */
+  function updateScene (scene, progress) {
+    const axisProgress = progress.cross && getIsHorizontal(scene) !== horizontal ? progress.cross : progress;
+
+    updateSceneState(scene, axisProgress.p);
+
+    const isFinished = scene.once && scene.state === 'after';
+
+    // if active, or a play-once scene that must reach its end even if it was skipped while disabled
+    // toggle scenes are only updated on state change
+    if (!scene.toggle && (!scene.disabled || isFinished)) {
+      applySceneEffect(scene, axisProgress);
+    }
+
+    if (isFinished) {
+      // play-once scene is done, so stop updating it while keeping its final output
+      if (scene.destroyOnComplete) {
+        scene.destroy?.();
+      }
+      else {
+        completedScenes.add(scene);
+      }
+
+      unregisterScenes(new Set([scene]));
+    }
+  }
+
+  /**
+   * Updates progress in all scene effects.
+   *
+   * @private
+   * @param {Object} progress
+   * @param {number} progress.p
+   * @param {number} progress.vp
+   * @param {number} [progress.ap]
+   * @param {number} [progress.direction]
+   * @param {{p: number, vp: number, ap?: number, direction?: number}} [progress.cross] progress of the cross axis
+   */
+  function tick ({p, vp, ap, direction, cross}) {
+    const progress = roundProgress({p, vp, ap, direction});
+
+    if (cross) {
+      progress.cross = roundProgress(cross);
+    }
+
+    // if nothing changed bail out
+    if (
+      progress.p === lastProgress?.p && progress.vp === lastProgress?.vp
+      && progress.cross?.p === lastProgress?.cross?.p && progress.cross?.vp === lastProgress?.cross?.vp
+    ) return;
+
+    /*
+     * Perform scene progression.
+     */
+    for (let scene of _config.scenes) {
+      updateScene(scene, progress);
+    }
+
+    flushStyles();
+
+    // cache last position
+    lastProgress = progress;
+
+    emit('progress', progress);
+  }
+
+  /**
+   * Convert ranges given in CSS `animation-range` syntax into range offsets, keeping track of the original scene.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @return {ScrollScene}
+   */
+  function parseSceneRanges (scene) {
+    if (scene.range == null && typeof scene.start !== 'string' && typeof scene.end !== 'string') {
+      return scene;
+    }
+
+    // explicit start and end override the shorthand
+    const range = scene.range == null ? {} : parseRange(scene.range);
+    const parsedScene = {
+      ...scene,
+      start: typeof scene.start === 'string' ? parseRangeOffset(scene.start) : scene.start ?? range.start,
+      end: typeof scene.end === 'string' ? parseRangeOffset(scene.end, true) : scene.end ?? range.end
+    };
+
+    sceneOrigins.set(parsedScene, scene);
+
+    return parsedScene;
+  }
+
+  /**
+   * Prepares everything a scene and its children output to, so invalid input is reported on registration.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   * @param {HTMLElement} [parentTarget] target of a parent scene, used as default target of its children
+   */
+  function setupSceneOutputs (scene, parentTarget) {
+    const target = scene.target || scene.viewSource || parentTarget;
+
+    if (scene.easing) {
+      getEasing(scene.easing);
+    }
+
+    // staggered scenes write to their elements instead
+    if (!target && !scene.elements && (scene.keyframes || (scene.cssVars && !getSceneCSSVars(scene).target))) {
+      throw new TypeError('A scene with `keyframes` or `cssVars` requires a `target` or `viewSource`');
+    }
+
+    if (scene.keyframes && !keyframesInterpolators.has(scene.keyframes)) {
+      keyframesInterpolators.set(scene.keyframes, getKeyframesInterpolator(scene.keyframes));
+    }
+
+    getAnimations(scene);
+
+    if (scene.cssVars) {
+      const {progress, velocity} = getSceneCSSVars(scene);
+
+      registerProperty(progress);
+
+      if (velocity) {
+        registerProperty(velocity);
+      }
+    }
+
+    scene.children?.forEach(child => {
+      // child ranges are fractions of the parent's progress
+      if (child.start == null) {
+        child.start = 0;
+      }
+      if (child.end == null) {
+        child.end = 1;
+      }
+      child.duration = child.end - child.start;
+
+      setupSceneOutputs(child, target);
+    });
+
+    if (scene.elements) {
+      getStaggeredScenes(scene);
+      // validate stagger early
+      getStaggerStart(scene.stagger || 0, 0, 0, 1);
+    }
+  }
+
+  /**
+   * Registers new scenes and, if progress was already set, updates their effects to current progress.
+   *
+   * @param {ScrollScene[]} scenes
+   * @return {ScrollScene[]} the registered scenes
+   */
+  function addScenes (scenes) {
+    const parsedScenes = scenes.map(parseSceneRanges);
+
+    parsedScenes.forEach(scene => {
+      // without progress of the cross axis the scene would be driven by the other axis
+      if (getIsHorizontal(scene) !== horizontal && !_config.crossAxisActive) {
+        throw new TypeError('A scene with a `horizontal` different from the config\'s requires `crossAxisActive`');
+      }
+
+      setupSceneOutputs(scene);
+      delegateScene(scene);
+    });
+
+    const newScenes = prepareScenes(parsedScenes);
+
+    newScenes.forEach(scene => {
+      scene.index = _config.scenes.length;
+      _config.scenes.push(scene);
+      updateStaggeredScenes(scene);
+
+      if (scene.viewSource) {
+        const elementScenes = scenesByElement.get(scene.viewSource);
+
+        if (elementScenes) {
+          elementScenes.push(scene);
+        }
+        else {
+          scenesByElement.set(scene.viewSource, [scene]);
+        }
+      }
+    });
+
+    observeViewportEntry(newScenes);
+
+    if (lastProgress) {
+      newScenes.forEach(scene => updateScene(scene, lastProgress));
+      flushStyles();
+    }
+
+    return newScenes;
+  }
+
+  /**
+   * Destroys matching scenes and removes all their observations.
+   *
+   * @param {function(ScrollScene): boolean|string|ScrollScene|Array<string|ScrollScene>} query a predicate, or a single or a list of scene ids or objects
+   * @return {ScrollScene[]} the removed scenes, as originally provided
+   */
+  function removeScenes (query) {
+    const removed = new Set(findScenes(query));
+
+    if (!removed.size) return [];
+
+    removed.forEach(scene => {
+      scene.destroy?.();
+      releaseScene(scene);
+    });
+
+    unregisterScenes(removed);
+
+    return [...removed].map(getSceneOrigin);
+  }
+
+  /**
+   * Removes scenes from the controller and releases their observations.
+   *
+   * @private
+   * @param {Set<ScrollScene>} removed
+   */
+  function unregisterScenes (removed) {
+    _config.scenes = _config.scenes.filter(scene => !removed.has(scene));
+    _config.scenes.forEach((scene, index) => {scene.index = index;});
+
+    const remainingGroups = rangesToObserve
+      .map(sceneGroup => sceneGroup.filter(scene => !removed.has(scene)))
+      .filter(sceneGroup => sceneGroup.length);
+
+    rangesToObserve.length = 0;
+    rangesToObserve.push(...remainingGroups);
+
+    removed.forEach(scene => {
+      const {viewSource} = scene;
+
+      if (!viewSource) return;
+
+      const elementScenes = scenesByElement.get(viewSource).filter(other => other !== scene);
+
+      if (elementScenes.length) {
+        scenesByElement.set(viewSource, elementScenes);
+        return;
+      }
+
+      scenesByElement.delete(viewSource);
+
+      if (viewportObserver && observedEntryElements.delete(viewSource)) {
+        viewportObserver.unobserve(viewSource);
+      }
+
+      if (rangesResizeObserver) {
+        rangesResizeObserver.unobserve(viewSource);
+      }
+    });
+  }
+
+  /**
+   * Reverts the side effects a scene left outside the controller.
+   *
+   * @private
+   * @param {ScrollScene} scene
+   */
+  function releaseScene (scene) {
+    if (scene.toggle) {
+      clearSceneToggle(scene);
+    }
+
+    clearSceneStyles(scene);
+
+    // stop native timelines from updating released scenes
+    if (delegatedScenes.delete(getSceneOrigin(scene))) {
+      getAnimations(scene).forEach(animation => {
+        animation.pause();
+        animation.timeline = null;
+      });
+    }
+  }
+
+  /**
+   * Returns the scroll position where a scene reaches the given progress.
+   *
+   * @param {string|ScrollScene} query a scene id or object
+   * @param {number} progress between 0 and 1
+   * @return {{position: number, horizontal: boolean}|undefined} scroll position in pixels and its axis, or `undefined` if scene is not found
+   */
+  function getScenePosition (query, progress) {
+    const [scene] = findScenes(query);
+
+    if (!scene) return;
+
+    return getProgressPosition(scene, progress);
+  }
+
+  /**
+   * Returns the scroll positions of all snap points of scenes.
+   *
+   * @return {Array<{position: number, horizontal: boolean}>}
+   */
+  function getSnapPoints () {
+    return _config.scenes.flatMap(scene => {
+      if (!scene.snap) return [];
+
+      const points = scene.snap === true ? [0, 1] : scene.snap;
+
+      return points.map(progress => getProgressPosition(scene, progress));
+    });
+  }
+
+  /**
+   * Returns the scenes whose animations were handed to native scroll-driven timelines.
+   *
+   * @return {ScrollScene[]} the delegated scenes, as originally provided
+   */
+  function getDelegatedScenes () {
+    return [...delegatedScenes];
+  }
+
+  /**
+   * Removes all side effects and deletes all objects.
    */
   function destroy () {
-    _config.scenes.forEach(scene => scene.destroy?.());
+    [..._config.scenes, ...completedScenes].forEach(scene => {
+      scene.destroy?.();
+      releaseScene(scene);
+    });
+
+    completedScenes.clear();
 
     if (viewportObserver) {
       viewportObserver.disconnect();
@@ -286,6 +1399,11 @@ export function getController (config) {
       rangesResizeObserver = null;
     }
 
+    if (contentResizeObserver) {
+      contentResizeObserver.disconnect();
+      contentResizeObserver = null;
+    }
+
     if (viewportResizeHandler) {
       if (scrollportResizeObserver) {
         scrollportResizeObserver.disconnect();
@@ -295,13 +1413,29 @@ export function getController (config) {
         window.removeEventListener('resize', viewportResizeHandler);
       }
     }
+
+    if (dynamicViewportHandler) {
+      (window.visualViewport || window).removeEventListener('resize', dynamicViewportHandler);
+      dynamicViewportHandler = null;
+    }
   }
 
+  /*
+   * Prepare scenes data.
+   */
+  _config.scenes = [];
+  addScenes(config.scenes || []);
+
   /**
    * Scroll controller.
    */
   return {
     tick,
-    destroy
+    destroy,
+    addScenes,
+    removeScenes,
+    getScenePosition,
+    getSnapPoints,
+    getDelegatedScenes
   };
 }
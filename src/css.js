@@ -0,0 +1,432 @@
+/**
+ * Default font size in pixels, used when it can't be measured.
+ *
+ * @private
+ * @type {number}
+ */
+const DEFAULT_FONT_SIZE = 16;
+
+/**
+ * Size in pixels of absolute length units.
+ *
+ * @private
+ * @type {Object<string, number>}
+ */
+const ABSOLUTE_UNITS = {
+  px: 1,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+  q: 96 / 101.6,
+  pt: 96 / 72,
+  pc: 16
+};
+
+/**
+ * Viewport types by prefix of their units.
+ *
+ * @private
+ * @type {Object<string, string>}
+ */
+const VIEWPORT_TYPES = {
+  s: 'small',
+  l: 'large',
+  d: 'dynamic'
+};
+
+/**
+ * Matches a single token of a CSS length: a number with optional unit, a function name, or a delimiter.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const TOKEN_REGEX = /\s*(?:(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?|([a-z]+)\(|([-+*/(),]))\s*/iy;
+
+/**
+ * Returns the size in pixels of one unit, or `null` if unit is not supported.
+ *
+ * @private
+ * @param {string} unit
+ * @param {AbsoluteOffsetContext} context
+ * @return {number|null}
+ */
+function getUnitSize (unit, context) {
+  const name = unit.toLowerCase();
+
+  if (name in ABSOLUTE_UNITS) {
+    return ABSOLUTE_UNITS[name];
+  }
+
+  if (name === '%') {
+    return (context.rangeSize || 0) / 100;
+  }
+
+  if (name === 'rem') {
+    return context.rootFontSize || DEFAULT_FONT_SIZE;
+  }
+
+  if (name === 'em') {
+    return context.fontSize || context.rootFontSize || DEFAULT_FONT_SIZE;
+  }
+
+  const match = name.match(/^([lsd]?)(vh|vw|vmin|vmax)$/);
+
+  if (match) {
+    const [, prefix, axis] = match;
+    const type = VIEWPORT_TYPES[prefix];
+    const viewportWidth = (type && context[`${type}ViewportWidth`]) ?? context.viewportWidth;
+    const viewportHeight = (type && context[`${type}ViewportHeight`]) ?? context.viewportHeight;
+    const size = axis === 'vh'
+      ? viewportHeight
+      : axis === 'vw'
+        ? viewportWidth
+        : axis === 'vmin'
+          ? Math.min(viewportWidth, viewportHeight)
+          : Math.max(viewportWidth, viewportHeight);
+
+    return size / 100;
+  }
+
+  return null;
+}
+
+/**
+ * Split a CSS length into tokens.
+ *
+ * @private
+ * @param {string} input
+ * @return {Array<{number?: number, unit?: string, fn?: string, delimiter?: string}>}
+ */
+function tokenize (input) {
+  const tokens = [];
+  const regex = new RegExp(TOKEN_REGEX);
+
+  regex.lastIndex = 0;
+
+  while (regex.lastIndex < input.length) {
+    const match = regex.exec(input);
+
+    if (!match) {
+      throw new SyntaxError(`Invalid length: "${input}"`);
+    }
+
+    const [, number, unit, fn, delimiter] = match;
+
+    if (number != null) {
+      tokens.push({number: parseFloat(number), unit: unit || ''});
+    }
+    else if (fn) {
+      tokens.push({fn: fn.toLowerCase()});
+    }
+    else if (delimiter) {
+      tokens.push({delimiter});
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a CSS length into number of pixels.
+ * Supports absolute and relative lengths, percentages, and `calc()`, `min()`, `max()` and `clamp()`, possibly nested.
+ *
+ * @param {string|number|CSSUnitValue} input a CSS length string, a number of pixels, or a `{value, unit}` object
+ * @param {AbsoluteOffsetContext} context sizes that relative lengths are resolved against
+ * @return {number}
+ */
+export function parseLength (input, context) {
+  if (input == null || input === '') {
+    return 0;
+  }
+
+  if (typeof input === 'number') {
+    return input;
+  }
+
+  if (typeof input === 'object') {
+    const unit = input.unit === 'percent' ? '%' : input.unit;
+    const size = unit === 'number' && !input.value ? 0 : getUnitSize(String(unit), context);
+
+    if (size === null || typeof input.value !== 'number') {
+      throw new SyntaxError(`Invalid length: "${JSON.stringify(input)}"`);
+    }
+
+    return input.value * size;
+  }
+
+  const error = () => new SyntaxError(`Invalid length: "${input}"`);
+  const tokens = tokenize(input);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isDelimiter = (token, delimiter) => token?.delimiter === delimiter;
+  const expect = delimiter => {
+    if (!isDelimiter(tokens[index++], delimiter)) {
+      throw error();
+    }
+  };
+
+  /*
+   * Values are tracked as pixels, with whether they're unitless numbers for type checking
+   */
+  const parseValue = () => {
+    const token = tokens[index++];
+
+    if (!token) {
+      throw error();
+    }
+
+    if ('number' in token) {
+      if (!token.unit) {
+        return {value: token.number, isNumber: true};
+      }
+
+      const size = getUnitSize(token.unit, context);
+
+      if (size === null) {
+        throw error();
+      }
+
+      return {value: token.number * size, isNumber: false};
+    }
+
+    if (isDelimiter(token, '(')) {
+      const result = parseSum();
+      expect(')');
+
+      return result;
+    }
+
+    if (token.fn) {
+      return parseFunction(token.fn);
+    }
+
+    throw error();
+  };
+
+  const parseFunction = name => {
+    if (name === 'calc') {
+      const result = parseSum();
+      expect(')');
+
+      return result;
+    }
+
+    if (name !== 'min' && name !== 'max' && name !== 'clamp') {
+      throw error();
+    }
+
+    const args = [parseSum()];
+
+    while (isDelimiter(peek(), ',')) {
+      index++;
+      args.push(parseSum());
+    }
+
+    expect(')');
+
+    if ((name === 'clamp' && args.length !== 3) || args.some(arg => arg.isNumber !== args[0].isNumber)) {
+      throw error();
+    }
+
+    const values = args.map(arg => arg.value);
+    const value = name === 'min'
+      ? Math.min(...values)
+      : name === 'max'
+        ? Math.max(...values)
+        : Math.max(values[0], Math.min(values[1], values[2]));
+
+    return {value, isNumber: args[0].isNumber};
+  };
+
+  const parseProduct = () => {
+    let result = parseValue();
+
+    while (isDelimiter(peek(), '*') || isDelimiter(peek(), '/')) {
+      const operator = tokens[index++].delimiter;
+      const operand = parseValue();
+
+      if (operator === '*') {
+        if (!result.isNumber && !operand.isNumber) {
+          throw error();
+        }
+
+        result = {value: result.value * operand.value, isNumber: result.isNumber && operand.isNumber};
+      }
+      else {
+        if (!operand.isNumber || operand.value === 0) {
+          throw error();
+        }
+
+        result = {value: result.value / operand.value, isNumber: result.isNumber};
+      }
+    }
+
+    return result;
+  };
+
+  const parseSum = () => {
+    let result = parseProduct();
+
+    while (isDelimiter(peek(), '+') || isDelimiter(peek(), '-')) {
+      const operator = tokens[index++].delimiter;
+      const operand = parseProduct();
+
+      if (operand.isNumber !== result.isNumber) {
+        throw error();
+      }
+
+      result = {
+        value: operator === '+' ? result.value + operand.value : result.value - operand.value,
+        isNumber: result.isNumber
+      };
+    }
+
+    return result;
+  };
+
+  // parentheses are only valid inside math functions
+  if (isDelimiter(peek(), '(')) {
+    throw error();
+  }
+
+  const result = parseValue();
+
+  // a unitless number is only a valid length if it's 0
+  if (index < tokens.length || (result.isNumber && result.value !== 0)) {
+    throw error();
+  }
+
+  return result.value;
+}
+
+/**
+ * Names of ranges of a view timeline.
+ *
+ * @private
+ * @type {RangeName[]}
+ */
+const RANGE_NAMES = ['cover', 'contain', 'entry', 'exit', 'entry-crossing', 'exit-crossing'];
+
+/**
+ * Split a string by whitespace outside of parentheses.
+ *
+ * @private
+ * @param {string} input
+ * @return {string[]}
+ */
+function splitBySpaces (input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input.trim()) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (!depth && /\s/.test(char)) {
+      if (current) {
+        parts.push(current);
+        current = '';
+      }
+    }
+    else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+/**
+ * Convert a range name and an optional length-percentage into a range offset.
+ * Pure percentages are used as offset, and any other length is added to the start of the range.
+ *
+ * @private
+ * @param {RangeName} name
+ * @param {string} [value]
+ * @param {number} defaultOffset offset used when no value is given
+ * @return {RangeOffset}
+ */
+function toRangeOffset (name, value, defaultOffset) {
+  if (value == null) {
+    return {name, offset: defaultOffset};
+  }
+
+  if (/^-?(\d+\.?\d*|\.\d+)%$/.test(value)) {
+    return {name, offset: parseFloat(value)};
+  }
+
+  return {name, offset: 0, add: value};
+}
+
+/**
+ * Parse a CSS `animation-range` value into start and end range offsets.
+ * Each part is a range name followed by an optional length-percentage, or just a length-percentage of the `cover` range.
+ * If only a start range name is given the end defaults to the end of the same range.
+ *
+ * @param {string} range e.g. `'entry 20% exit calc(80% + 10vh)'`
+ * @return {{start: RangeOffset, end: RangeOffset}}
+ */
+export function parseRange (range) {
+  const parts = [];
+
+  splitBySpaces(range).forEach(token => {
+    const name = token.toLowerCase();
+
+    if (RANGE_NAMES.includes(name) || name === 'normal') {
+      parts.push({name});
+    }
+    else if (/^[a-z-]+$/i.test(token)) {
+      throw new SyntaxError(`Invalid range: "${range}"`);
+    }
+    else if (parts.length && parts[parts.length - 1].name !== 'normal' && parts[parts.length - 1].value == null) {
+      parts[parts.length - 1].value = token;
+    }
+    else {
+      parts.push({name: 'cover', value: token});
+    }
+  });
+
+  if (!parts.length || parts.length > 2) {
+    throw new SyntaxError(`Invalid range: "${range}"`);
+  }
+
+  const [start, end] = parts.map(part => part.name === 'normal' ? {name: 'cover'} : part);
+
+  return {
+    start: toRangeOffset(start.name, start.value, 0),
+    // a missing end defaults to the end of the start's range
+    end: end ? toRangeOffset(end.name, end.value, 100) : {name: start.name, offset: 100}
+  };
+}
+
+/**
+ * Parse a CSS `animation-range-start` or `animation-range-end` value into a range offset.
+ *
+ * @param {string} value e.g. `'contain 10%'`
+ * @param {boolean} [isEnd] whether the value is of the end of a range, so a range name alone defaults to its end
+ * @return {RangeOffset}
+ */
+export function parseRangeOffset (value, isEnd) {
+  const parts = splitBySpaces(value);
+  const name = parts[0]?.toLowerCase();
+
+  if (name === 'normal' && parts.length === 1) {
+    return {name: 'cover', offset: isEnd ? 100 : 0};
+  }
+
+  if (RANGE_NAMES.includes(name) && parts.length <= 2) {
+    return toRangeOffset(name, parts[1], isEnd ? 100 : 0);
+  }
+
+  if (parts.length === 1 && !/^[a-z-]+$/i.test(parts[0])) {
+    return toRangeOffset('cover', parts[0], 0);
+  }
+
+  throw new SyntaxError(`Invalid range: "${value}"`);
+}
@@ -0,0 +1,293 @@
+/**
+ * Cache of parsed easing strings.
+ *
+ * @private
+ * @type {Map<string, function(number): number>}
+ */
+const cache = new Map();
+
+/**
+ * Returns a cubic Bézier easing function with the given control points.
+ *
+ * @private
+ * @param {number} x1
+ * @param {number} y1
+ * @param {number} x2
+ * @param {number} y2
+ * @return {function(number): number}
+ */
+function cubicBezier (x1, y1, x2, y2) {
+  const cx = 3 * x1;
+  const bx = 3 * (x2 - x1) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * y1;
+  const by = 3 * (y2 - y1) - cy;
+  const ay = 1 - cy - by;
+
+  const sampleX = t => ((ax * t + bx) * t + cx) * t;
+  const sampleY = t => ((ay * t + by) * t + cy) * t;
+  const sampleDerivativeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+  /*
+   * Find t for given x, first using Newton's method and fallback to bisection
+   */
+  const solveX = x => {
+    let t = x;
+
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+
+      if (Math.abs(error) < 1e-6) return t;
+
+      const derivative = sampleDerivativeX(t);
+
+      if (Math.abs(derivative) < 1e-6) break;
+
+      t -= error / derivative;
+    }
+
+    let low = 0;
+    let high = 1;
+    t = x;
+
+    while (low < high) {
+      const error = sampleX(t) - x;
+
+      if (Math.abs(error) < 1e-6) break;
+
+      if (error > 0) {
+        high = t;
+      }
+      else {
+        low = t;
+      }
+
+      t = (low + high) / 2;
+
+      if (high - low < 1e-7) break;
+    }
+
+    return t;
+  };
+
+  return x => x <= 0 ? 0 : x >= 1 ? 1 : sampleY(solveX(x));
+}
+
+/**
+ * Returns a step easing function.
+ *
+ * @private
+ * @param {number} steps number of steps
+ * @param {'jump-start'|'jump-end'|'jump-none'|'jump-both'|'start'|'end'} [position]
+ * @return {function(number): number}
+ */
+function stepsEasing (steps, position = 'jump-end') {
+  const jumpStart = position === 'jump-start' || position === 'start' || position === 'jump-both';
+  const jumps = position === 'jump-both'
+    ? steps + 1
+    : position === 'jump-none'
+      ? steps - 1
+      : steps;
+
+  return x => {
+    let step = Math.floor(x * steps);
+
+    if (jumpStart) {
+      step += 1;
+    }
+
+    if (x >= 0 && step < 0) {
+      step = 0;
+    }
+
+    if (x <= 1 && step > jumps) {
+      step = jumps;
+    }
+
+    return step / jumps;
+  };
+}
+
+/**
+ * Returns a piecewise linear easing function, according to CSS `linear()` stops.
+ *
+ * @private
+ * @param {Array<{output: number, inputs: number[]}>} stops inputs are given between 0 and 1
+ * @return {function(number): number}
+ */
+function linearEasing (stops) {
+  const points = stops.flatMap(({output, inputs}) => inputs.length
+    ? inputs.map(input => ({output, input}))
+    : [{output, input: null}]
+  );
+
+  if (points[0].input === null) {
+    points[0].input = 0;
+  }
+
+  if (points[points.length - 1].input === null) {
+    points[points.length - 1].input = 1;
+  }
+
+  // inputs must be non-decreasing
+  let maxInput = -Infinity;
+  points.forEach(point => {
+    if (point.input !== null) {
+      point.input = Math.max(point.input, maxInput);
+      maxInput = point.input;
+    }
+  });
+
+  // spread missing inputs evenly between their defined neighbours
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].input === null) {
+      let next = i + 1;
+
+      while (points[next].input === null) next++;
+
+      const start = points[i - 1].input;
+      const step = (points[next].input - start) / (next - i + 1);
+
+      for (let j = i; j < next; j++) {
+        points[j].input = start + step * (j - i + 1);
+      }
+    }
+  }
+
+  return x => {
+    let index = points.length - 1;
+
+    while (index > 0 && points[index].input > x) index--;
+
+    const from = points[index];
+    const to = points[index + 1];
+
+    if (!to || to.input === from.input) {
+      return from.output;
+    }
+
+    return from.output + (to.output - from.output) * (x - from.input) / (to.input - from.input);
+  };
+}
+
+/**
+ * Predefined CSS easing keywords.
+ *
+ * @private
+ * @type {Object<string, function(number): number>}
+ */
+const KEYWORDS = {
+  linear: x => x,
+  ease: cubicBezier(0.25, 0.1, 0.25, 1),
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': cubicBezier(0.42, 0, 0.58, 1),
+  'step-start': stepsEasing(1, 'jump-start'),
+  'step-end': stepsEasing(1, 'jump-end')
+};
+
+/**
+ * Parse a CSS number, or a percentage to a fraction.
+ *
+ * @private
+ * @param {string} value
+ * @param {string} easing the full easing string for error reporting
+ * @return {number}
+ */
+function parseNumber (value, easing) {
+  const match = value.match(/^(-?(?:\d+\.?\d*|\.\d+))(%?)$/);
+
+  if (!match) {
+    throw new SyntaxError(`Invalid easing: "${easing}"`);
+  }
+
+  return match[2] ? parseFloat(match[1]) / 100 : parseFloat(match[1]);
+}
+
+/**
+ * Parse a CSS easing function string into a function.
+ *
+ * @private
+ * @param {string} easing
+ * @return {function(number): number}
+ */
+function parseEasing (easing) {
+  // CSS keywords and function names are case-insensitive
+  const value = easing.trim().toLowerCase();
+
+  if (Object.hasOwn(KEYWORDS, value)) {
+    return KEYWORDS[value];
+  }
+
+  const match = value.match(/^(cubic-bezier|steps|linear)\s*\((.*)\)$/);
+
+  if (!match) {
+    throw new SyntaxError(`Invalid easing: "${easing}"`);
+  }
+
+  const [, name, argsString] = match;
+  const args = argsString.split(',').map(arg => arg.trim());
+
+  if (name === 'cubic-bezier') {
+    const points = args.map(arg => parseNumber(arg, easing));
+
+    if (points.length !== 4 || points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+      throw new SyntaxError(`Invalid easing: "${easing}"`);
+    }
+
+    return cubicBezier(...points);
+  }
+
+  if (name === 'steps') {
+    const steps = parseInt(args[0]);
+    const position = args[1];
+    const positions = ['jump-start', 'jump-end', 'jump-none', 'jump-both', 'start', 'end'];
+
+    if (!/^\d+$/.test(args[0]) || args.length > 2 || (position && !positions.includes(position)) || steps < (position === 'jump-none' ? 2 : 1)) {
+      throw new SyntaxError(`Invalid easing: "${easing}"`);
+    }
+
+    return stepsEasing(steps, position);
+  }
+
+  const stops = args.map(arg => {
+    const [output, ...inputs] = arg.split(/\s+/);
+
+    if (inputs.length > 2 || inputs.some(input => !input.endsWith('%'))) {
+      throw new SyntaxError(`Invalid easing: "${easing}"`);
+    }
+
+    return {
+      output: parseNumber(output, easing),
+      inputs: inputs.map(input => parseNumber(input, easing))
+    };
+  });
+
+  if (stops.length < 2) {
+    throw new SyntaxError(`Invalid easing: "${easing}"`);
+  }
+
+  return linearEasing(stops);
+}
+
+/**
+ * Returns an easing function from a CSS easing function string, or the given function.
+ * Supports keywords, `cubic-bezier()`, `steps()` and `linear()`.
+ *
+ * @param {string|function(number): number} easing
+ * @return {function(number): number}
+ */
+export function getEasing (easing) {
+  if (typeof easing === 'function') {
+    return easing;
+  }
+
+  let fn = cache.get(easing);
+
+  if (!fn) {
+    fn = parseEasing(easing);
+    cache.set(easing, fn);
+  }
+
+  return fn;
+}
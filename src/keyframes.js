@@ -0,0 +1,219 @@
+import { getEasing } from './easing.js';
+
+/**
+ * Matches numbers inside CSS values, e.g. in `translate(10px, -2.5e1%)`.
+ *
+ * @private
+ * @type {RegExp}
+ */
+const NUMBER_REGEX = /(-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/i;
+
+/**
+ * Keys of a keyframe that are not animated properties.
+ *
+ * @private
+ * @type {string[]}
+ */
+const RESERVED_KEYS = ['offset', 'easing', 'composite'];
+
+/**
+ * Convert a property name as used in keyframes into a CSS property name.
+ *
+ * @private
+ * @param {string} property
+ * @return {string}
+ */
+function toCSSPropertyName (property) {
+  if (property.startsWith('--')) {
+    return property;
+  }
+
+  if (property === 'cssFloat') {
+    return 'float';
+  }
+
+  return property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Split a value into its static string parts and its numbers.
+ *
+ * @private
+ * @param {string|number} value
+ * @return {{strings: string[], numbers: number[]}}
+ */
+function parseValue (value) {
+  const parts = String(value).split(NUMBER_REGEX);
+
+  return {
+    // even indices are the static parts and odd ones are the numbers
+    strings: parts.filter((part, index) => !(index % 2)),
+    numbers: parts.filter((part, index) => index % 2).map(Number)
+  };
+}
+
+/**
+ * Returns a function interpolating between two values.
+ * Values of same structure are interpolated number by number, otherwise they are switched at the middle.
+ *
+ * @private
+ * @param {string|number} from
+ * @param {string|number} to
+ * @return {function(number): string|number}
+ */
+function getValueInterpolator (from, to) {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return t => from + (to - from) * t;
+  }
+
+  const parsedFrom = parseValue(from);
+  const parsedTo = parseValue(to);
+  const isSameStructure = parsedFrom.strings.length === parsedTo.strings.length
+    && parsedFrom.strings.every((string, index) => string === parsedTo.strings[index]);
+
+  if (!isSameStructure) {
+    return t => t < 0.5 ? from : to;
+  }
+
+  return t => parsedFrom.strings.reduce((result, string, index) => {
+    const a = parsedFrom.numbers[index - 1];
+    const b = parsedTo.numbers[index - 1];
+
+    return result + +(a + (b - a) * t).toFixed(4) + string;
+  });
+}
+
+/**
+ * Fill missing offsets of keyframes, spreading them evenly between given ones.
+ *
+ * @private
+ * @param {Keyframe[]} keyframes
+ * @return {number[]}
+ */
+function computeOffsets (keyframes) {
+  const offsets = keyframes.map(keyframe => keyframe.offset ?? null);
+
+  if (offsets.length === 1 && offsets[0] === null) {
+    offsets[0] = 1;
+  }
+
+  if (offsets[0] === null) {
+    offsets[0] = 0;
+  }
+
+  if (offsets[offsets.length - 1] === null) {
+    offsets[offsets.length - 1] = 1;
+  }
+
+  for (let i = 1; i < offsets.length; i++) {
+    if (offsets[i] === null) {
+      let next = i + 1;
+
+      while (offsets[next] === null) next++;
+
+      const start = offsets[i - 1];
+      const step = (offsets[next] - start) / (next - i + 1);
+
+      for (let j = i; j < next; j++) {
+        offsets[j] = start + step * (j - i + 1);
+      }
+    }
+  }
+
+  return offsets;
+}
+
+/**
+ * Returns a list of points per animated property, with computed offsets and parsed easings.
+ *
+ * @private
+ * @param {Keyframe[]|PropertyIndexedKeyframes} keyframes
+ * @return {Array<{name: string, points: Array<{offset: number, value: string|number, easing: function|null}>}>}
+ */
+function getTracks (keyframes) {
+  if (Array.isArray(keyframes)) {
+    const offsets = computeOffsets(keyframes);
+    const properties = [...new Set(keyframes.flatMap(keyframe => Object.keys(keyframe).filter(key => !RESERVED_KEYS.includes(key))))];
+
+    return properties.map(property => ({
+      name: toCSSPropertyName(property),
+      points: keyframes
+        .map((keyframe, index) => ({
+          offset: offsets[index],
+          value: keyframe[property],
+          easing: keyframe.easing ? getEasing(keyframe.easing) : null
+        }))
+        .filter(point => point.value != null)
+    }));
+  }
+
+  /*
+   * Property-indexed keyframes, where offsets and easings are applied to each property's values by order
+   */
+  const {offset, easing, composite, ...properties} = keyframes;
+  const offsetList = offset == null ? [] : [].concat(offset);
+  const easingList = easing == null ? [] : [].concat(easing);
+
+  return Object.entries(properties).map(([property, values]) => {
+    const list = [].concat(values);
+    const offsets = computeOffsets(list.map((value, index) => ({
+      offset: offsetList.length === list.length ? offsetList[index] : null
+    })));
+
+    return {
+      name: toCSSPropertyName(property),
+      points: list.map((value, index) => ({
+        offset: offsets[index],
+        value,
+        easing: easingList.length ? getEasing(easingList[index % easingList.length]) : null
+      }))
+    };
+  });
+}
+
+/**
+ * Returns a function that computes the styles of given keyframes at a given progress.
+ * Keyframes follow the Web Animations API format, either as a list of keyframes or in property-indexed form,
+ * and may specify `offset` and `easing` per keyframe.
+ *
+ * @param {Keyframe[]|PropertyIndexedKeyframes} keyframes
+ * @return {function(number): Object<string, string>} maps progress to styles by CSS property names
+ */
+export function getKeyframesInterpolator (keyframes) {
+  const tracks = getTracks(keyframes).map(({name, points}) => ({
+    name,
+    points,
+    segments: points.slice(1).map((point, index) => ({
+      from: points[index],
+      to: point,
+      interpolate: getValueInterpolator(points[index].value, point.value)
+    }))
+  }));
+
+  return progress => {
+    const styles = {};
+
+    tracks.forEach(({name, points, segments}) => {
+      let value;
+
+      if (!segments.length || progress <= points[0].offset) {
+        value = points[0].value;
+      }
+      else if (progress >= points[points.length - 1].offset) {
+        value = points[points.length - 1].value;
+      }
+      else {
+        const segment = segments.find(({to}) => progress <= to.offset);
+        const {from, to} = segment;
+        const duration = to.offset - from.offset;
+        const localProgress = duration ? (progress - from.offset) / duration : 1;
+
+        value = segment.interpolate(from.easing ? from.easing(localProgress) : localProgress);
+      }
+
+      styles[name] = String(value);
+    });
+
+    return styles;
+  };
+}
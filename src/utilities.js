@@ -39,11 +39,52 @@ function lerp (a, b, t, e) {
   return res;
 }
 
+/**
+ * Maximal time step in seconds of a single spring integration step, to keep it stable on long frames.
+ *
+ * @private
+ * @type {number}
+ */
+const MAX_SPRING_STEP = 1 / 120;
+
+/**
+ * Advance a damped spring from a towards b by the time step dt.
+ * Long time steps are integrated in substeps of at most `MAX_SPRING_STEP`.
+ *
+ * @param {number} a current point
+ * @param {number} b rest point
+ * @param {number} v current velocity, in units per second
+ * @param {{stiffness: number, damping: number, mass: number}} params spring parameters
+ * @param {number} dt time step in seconds
+ * @param {number} e minimal possible delta between result and rest point, and minimal possible velocity, for the spring to keep moving
+ * @return {{value: number, velocity: number}}
+ */
+function spring (a, b, v, params, dt, e) {
+  const steps = Math.max(1, Math.ceil(dt / MAX_SPRING_STEP));
+  const step = dt / steps;
+  let value = a;
+  let velocity = v;
+
+  for (let i = 0; i < steps; i++) {
+    const force = -params.stiffness * (value - b) - params.damping * velocity;
+
+    velocity += force / params.mass * step;
+    value += velocity * step;
+  }
+
+  if (Math.abs(b - value) < e && Math.abs(velocity) < e) {
+    return { value: b, velocity: 0 };
+  }
+
+  return { value, velocity };
+}
+
 /**
  * Throttle a function to trigger once per animation frame.
  * Keeps the arguments from last call, even if that call gets ignored.
+ * The function is invoked with the frame's timestamp.
  *
- * @param {function} fn function to throttle
+ * @param {function(number): void} fn function to throttle
  * @return {(function(): void)}
  */
 function frameThrottle (fn) {
@@ -53,9 +94,9 @@ function frameThrottle (fn) {
     if (!throttled) {
       throttled = true;
 
-      window.requestAnimationFrame(() => {
+      window.requestAnimationFrame(time => {
         throttled = false;
-        fn();
+        fn(time);
       });
     }
   };
@@ -63,29 +104,40 @@ function frameThrottle (fn) {
 
 /**
  * Debounce a function by interval in milliseconds.
+ * A pending call can be dropped with the returned function's `cancel()` method.
  *
  * @param {function} fn
  * @param {number} interval
- * @return {function}
+ * @return {function & {cancel: function(): void}}
  */
 function debounce (fn, interval) {
   let debounced = 0;
 
-  return function bounce () {
+  function cancel () {
     if (debounced) {
       window.clearTimeout(debounced);
+      debounced = 0;
     }
+  }
+
+  function bounce () {
+    cancel();
 
     debounced = window.setTimeout(() => {
       debounced = 0;
       fn();
     }, interval);
-  };
+  }
+
+  bounce.cancel = cancel;
+
+  return bounce;
 }
 
 export {
   defaultTo,
   lerp,
+  spring,
   frameThrottle,
   debounce
 };
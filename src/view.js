@@ -1,33 +1,4 @@
-/**
- * parses offsetString of the format calc(<length> + <length>)
- * @param {string|undefined} offsetString
- * @param {AbsoluteOffsetContext} absoluteOffsetContext
- */
-function parseOffsetCalc(offsetString, absoluteOffsetContext) {
-  const match = offsetString.match(/^calc\s*\(\s*(-?\d+((px)|([lsd]?vh)|([lsd]?vw)))\s*\+\s*(-?\d+((px)|([lsd]?vh)|([lsd]?vw)))\s*\)\s*$/);
-  return transformAbsoluteOffsetToNumber(match[1], absoluteOffsetContext) + transformAbsoluteOffsetToNumber(match[6], absoluteOffsetContext);
-}
-
-/**
- * Convert an absolute offset as string to number of pixels
- *
- * @param {string|undefined} offsetString
- * @param {AbsoluteOffsetContext} absoluteOffsetContext
- * @return {number}
- */
-function transformAbsoluteOffsetToNumber (offsetString, absoluteOffsetContext) {
-  return offsetString
-    ? /^-?\d+px$/.test(offsetString)
-      ? parseInt(offsetString)
-      : /^-?\d+[lsd]?vh$/.test(offsetString)
-        ? parseInt(offsetString) * absoluteOffsetContext.viewportHeight / 100
-        : /^-?\d+[lsd]?vw$/.test(offsetString)
-          ? parseInt(offsetString) * absoluteOffsetContext.viewportWidth / 100
-          : /^calc\s*\(\s*-?\d+((px)|([lsd]?vh)|([lsd]?vw))\s*\+\s*-?\d+((px)|([lsd]?vh)|([lsd]?vw))\s*\)\s*$/.test(offsetString)
-            ? parseOffsetCalc(offsetString, absoluteOffsetContext)
-            : parseInt(offsetString) || 0
-    : 0;
-}
+import { parseLength } from './css.js';
 
 /**
  * Convert a range into offset in pixels.
@@ -188,11 +159,12 @@ function transformSceneRangesToOffsets (scene, rect, viewportSize, isHorizontal,
     if (startRange || start?.name) {
       startRange = startRange || start;
 
-      const startAdd = transformAbsoluteOffsetToNumber(startRange.add, absoluteOffsetContext);
       const absoluteStartOffset = transformRangeToPosition({...startRange, offset: 0}, viewportSize, rect);
       const absoluteEndOffset = transformRangeToPosition({...startRange, offset: 100}, viewportSize, rect);
       // we take 0% to 100% of the named range for start, and we compute the position by adding the sticky addition for the given start offset
       const newAbsoluteRange = computeStickinessIntoFullRange(offsetTree, absoluteStartOffset, absoluteEndOffset, viewportSize, isHorizontal);
+      // percentages are relative to the named range
+      const startAdd = parseLength(startRange.add, {...absoluteOffsetContext, rangeSize: newAbsoluteRange.end - newAbsoluteRange.start});
 
       startOffset = newAbsoluteRange.start + (startRange.offset / 100) * (newAbsoluteRange.end - newAbsoluteRange.start) + startAdd;
     }
@@ -200,11 +172,11 @@ function transformSceneRangesToOffsets (scene, rect, viewportSize, isHorizontal,
     if (endRange || end?.name) {
       endRange = endRange || end;
 
-      const endAdd = transformAbsoluteOffsetToNumber(endRange.add, absoluteOffsetContext);
       const absoluteStartOffset = transformRangeToPosition({...endRange, offset: 0}, viewportSize, rect);
       const absoluteEndOffset = transformRangeToPosition({...endRange, offset: 100}, viewportSize, rect);
       // we take 0% to 100% of the named range for end, and we compute the position by adding the sticky addition for the given end offset
       const newAbsoluteRange = computeStickinessIntoFullRange(offsetTree, absoluteStartOffset, absoluteEndOffset, viewportSize, isHorizontal);
+      const endAdd = parseLength(endRange.add, {...absoluteOffsetContext, rangeSize: newAbsoluteRange.end - newAbsoluteRange.start});
 
       endOffset = newAbsoluteRange.start + (endRange.offset / 100) * (newAbsoluteRange.end - newAbsoluteRange.start) + endAdd;
     }
@@ -242,15 +214,39 @@ function getIsFixed (style, offsetParent, root) {
   return style.position === 'fixed' && (!offsetParent || offsetParent === window.document.body || offsetParent === root);
 }
 
+/**
+ * Check whether scrolling along an axis goes from right to left, or bottom to top, according to writing mode and direction.
+ *
+ * @param {CSSStyleDeclaration} style computed style of the scroll container
+ * @param {boolean} isHorizontal
+ * @return {boolean}
+ */
+export function getIsReversed (style, isHorizontal) {
+  const writingMode = style.writingMode || 'horizontal-tb';
+  const isRTL = style.direction === 'rtl';
+
+  if (writingMode === 'horizontal-tb') {
+    return isHorizontal && isRTL;
+  }
+
+  // in vertical writing modes block axis is horizontal and inline axis is vertical
+  return isHorizontal
+    ? writingMode.endsWith('-rl')
+    : (writingMode === 'sideways-lr') !== isRTL;
+}
+
 /**
  * Get start offset of an element in scroll direction.
  *
  * @param {CSSStyleDeclaration} style
  * @param {boolean} isHorizontal
+ * @param {boolean} isReversed
  * @return {number}
  */
-function getStickyStartOffset (style, isHorizontal) {
-  return parseInt(isHorizontal ? style.left : style.top);
+function getStickyStartOffset (style, isHorizontal, isReversed) {
+  return parseInt(isHorizontal
+    ? isReversed ? style.right : style.left
+    : isReversed ? style.bottom : style.top);
 }
 
 /**
@@ -258,26 +254,39 @@ function getStickyStartOffset (style, isHorizontal) {
  *
  * @param {CSSStyleDeclaration} style
  * @param {boolean} isHorizontal
+ * @param {boolean} isReversed
  * @return {number}
  */
-function getStickyEndOffset (style, isHorizontal) {
-  return parseInt(isHorizontal ? style.right : style.bottom);
+function getStickyEndOffset (style, isHorizontal, isReversed) {
+  return parseInt(isHorizontal
+    ? isReversed ? style.left : style.right
+    : isReversed ? style.top : style.bottom);
 }
 
 /**
+ * Get the logical start offset of an element relative to its offset parent.
  *
  * @param {HTMLElement} element
  * @param {boolean} isHorizontal
  * @param {boolean} isSticky
+ * @param {boolean} isReversed
  * @return {number}
  */
-function getRectStart (element, isHorizontal, isSticky) {
-  // TODO: implement support for RTL writing-mode
+function getRectStart (element, isHorizontal, isSticky, isReversed) {
   if (isSticky) {
     element.style.position = 'static';
   }
 
-  const result = (isHorizontal ? element.offsetLeft : element.offsetTop) || 0;
+  let result = (isHorizontal ? element.offsetLeft : element.offsetTop) || 0;
+
+  if (isReversed) {
+    // measure from the end edge of the offset parent
+    const parent = element.offsetParent;
+    const parentSize = (isHorizontal ? parent?.scrollWidth : parent?.scrollHeight) || 0;
+    const size = (isHorizontal ? element.offsetWidth : element.offsetHeight) || 0;
+
+    result = parentSize - result - size;
+  }
 
   if (isSticky) {
     // assuming the sticky position came from a stylesheet and not set inline
@@ -287,10 +296,10 @@ function getRectStart (element, isHorizontal, isSticky) {
   return result
 }
 
-function getStickyData (style, isHorizontal) {
+function getStickyData (style, isHorizontal, isReversed) {
   let sticky;
-  const stickyStart = getStickyStartOffset(style, isHorizontal);
-  const stickyEnd = getStickyEndOffset(style, isHorizontal);
+  const stickyStart = getStickyStartOffset(style, isHorizontal, isReversed);
+  const stickyEnd = getStickyEndOffset(style, isHorizontal, isReversed);
   const hasStickyStart = !isNaN(stickyStart);
   const hasStickyEnd = !isNaN(stickyEnd);
 
@@ -308,6 +317,27 @@ function getStickyData (style, isHorizontal) {
   return sticky;
 }
 
+/**
+ * Check whether an element or any of its offset parents, up to the root, has sticky position.
+ *
+ * @param {HTMLElement} element
+ * @param {Window|HTMLElement} root
+ * @return {boolean}
+ */
+export function getHasStickyPosition (element, root) {
+  let parent = element;
+
+  while (parent && parent !== root) {
+    if (getIsSticky(window.getComputedStyle(parent))) {
+      return true;
+    }
+
+    parent = parent.offsetParent;
+  }
+
+  return false;
+}
+
 /**
  * Returns an array of converted scenes' data for grouped scenes (assumes same viewSource) from ranges into offsets in pixels.
  *
@@ -321,6 +351,9 @@ function getStickyData (style, isHorizontal) {
 export function getTransformedSceneGroup (scenes, root, viewportSize, isHorizontal, absoluteOffsetContext) {
   const element = scenes[0].viewSource;
   const offsetTree = [];
+  const isReversed = getIsReversed(window.getComputedStyle(root && root !== window ? root : window.document.documentElement), isHorizontal);
+  // `em` units are relative to the source's font size
+  const fontSize = parseFloat(window.getComputedStyle(element).fontSize) || absoluteOffsetContext.rootFontSize;
   let size = (isHorizontal ? element.offsetWidth : element.offsetHeight) || 0;
   let elementLayoutStart = 0;
   let parent = element;
@@ -328,10 +361,10 @@ export function getTransformedSceneGroup (scenes, root, viewportSize, isHorizont
   while (parent) {
     const nodeStyle = window.getComputedStyle(parent);
     const isSticky = getIsSticky(nodeStyle);
-    const sticky = isSticky ? getStickyData(nodeStyle, isHorizontal) : undefined;
+    const sticky = isSticky ? getStickyData(nodeStyle, isHorizontal, isReversed) : undefined;
 
     // get the base offset of the source element - before adding sticky intervals
-    const offset = getRectStart(parent, isHorizontal, isSticky);
+    const offset = getRectStart(parent, isHorizontal, isSticky, isReversed);
 
     // if we have sticky end (bottom or right) ignore offset for this element because it will stick to its parent's start edge
     if (!sticky || !('end' in sticky)) {
@@ -358,7 +391,7 @@ export function getTransformedSceneGroup (scenes, root, viewportSize, isHorizont
       {start: elementLayoutStart, end: elementLayoutStart + size},
       viewportSize,
       isHorizontal,
-      absoluteOffsetContext,
+      {...absoluteOffsetContext, fontSize},
       offsetTree
     ),
   }));
@@ -1034,6 +1034,46 @@ test('viewport :: disable', t => {
   t.is(scroll.config.scenes[0].disabled, true);
 });
 
+test('viewport :: disable scenes added to an observed element', t => {
+  let progress = 0;
+  const viewSource = {};
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        start: 0,
+        duration: 100,
+        viewSource
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.intersectionEntries.push({
+    isIntersecting: false,
+    target: viewSource
+  });
+  window.executeAnimationFrame(0);
+
+  scroll.addScenes([
+    {
+      effect(scene, p) {
+        progress = p;
+      },
+      start: 0,
+      duration: 100,
+      viewSource
+    }
+  ]);
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(1);
+
+  t.is(progress, 0);
+});
+
 test('pause', t => {
   let progress = 0;
   const scroll = new Scroll({
@@ -1158,4 +1198,2000 @@ test('start :: effect progress :: view ranges :: sceneGroup', t => {
 
   t.is(progress[0], 1);
   t.is(progress[1], 1);
-});
\ No newline at end of file
+});
+test('addScenes :: update added scene to current progress', t => {
+  const progress = [0, 0];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress[0] = p;
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  scroll.addScenes([
+    {
+      effect(scene, p) {
+        progress[1] = p;
+      },
+      start: 200,
+      duration: 200
+    }
+  ]);
+
+  t.is(progress[0], 0.6);
+  t.is(progress[1], 0.5);
+  t.is(scroll.config.scenes.length, 2);
+
+  window.scrollTo(0, 350);
+  window.executeAnimationFrame(1);
+
+  t.is(progress[0], 0.7);
+  t.is(progress[1], 0.75);
+});
+
+test('removeScenes :: by id', t => {
+  const progress = [0, 0];
+  let destroyed = false;
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress[0] = p;
+        },
+        start: 0,
+        duration: 500
+      },
+      {
+        id: 'second',
+        effect(scene, p) {
+          progress[1] = p;
+        },
+        destroy() { destroyed = true; },
+        start: 0,
+        duration: 1000
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  scroll.removeScenes('second');
+
+  t.is(destroyed, true);
+  t.is(scroll.config.scenes.length, 1);
+
+  window.scrollTo(0, 400);
+  window.executeAnimationFrame(1);
+
+  t.is(progress[0], 0.8);
+  t.is(progress[1], 0.3);
+});
+
+test('removeScenes :: by predicate :: view ranges', t => {
+  const element = {
+    offsetHeight: 100,
+    offsetTop: 100,
+    offsetParent: {
+      offsetTop: 200,
+      offsetParent: {
+        offsetTop: 0
+      }
+    }
+  };
+  const progress = [0, 0];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect(s, p) {
+          progress[0] = p;
+        },
+        start: {name: 'entry', offset: 50}, // 275
+        end: {name: 'contain', offset: 50}, // 325
+        viewSource: element,
+        groupId: 'group'
+      },
+      {
+        effect(s, p) {
+          progress[1] = p;
+        },
+        duration: 'contain', // 300 - 350
+        viewSource: element,
+        groupId: 'group'
+      }
+    ]
+  });
+
+  scroll.start();
+
+  scroll.removeScenes(scene => scene.start === 300);
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  t.is(progress[0], 0.5);
+  t.is(progress[1], 0);
+  t.is(scroll.config.scenes.length, 1);
+});
+
+test('scrollToScene :: view ranges', t => {
+  const element = {
+    offsetHeight: 100,
+    offsetTop: 100,
+    offsetParent: {
+      offsetTop: 200,
+      offsetParent: {
+        offsetTop: 0
+      }
+    }
+  };
+  const scene = {
+    effect() {},
+    start: {name: 'entry', offset: 50}, // 275
+    end: {name: 'contain', offset: 50}, // 325
+    viewSource: element
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      scene,
+      {
+        id: 'contain',
+        effect() {},
+        duration: 'contain', // 300 - 350
+        viewSource: element
+      }
+    ]
+  });
+
+  scroll.start();
+
+  scroll.scrollToScene(scene, 0.5);
+
+  t.is(window.scrollY, 300);
+
+  scroll.scrollToScene('contain');
+
+  t.is(window.scrollY, 300);
+
+  scroll.scrollToScene('contain', 1, {behavior: 'instant'});
+
+  t.is(window.scrollY, 350);
+});
+
+test('on :: scene events', t => {
+  const events = [];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        id: 'scene',
+        effect() {},
+        start: 100,
+        duration: 100
+      }
+    ]
+  });
+
+  ['sceneenter', 'sceneleave', 'scenecomplete'].forEach(type => {
+    scroll.on(type, scene => events.push(`${type}:${scene.id}`));
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(events, ['sceneenter:scene']);
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(1);
+
+  t.deepEqual(events.slice(1), ['sceneleave:scene']);
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(2);
+
+  t.deepEqual(events.slice(2), ['sceneenter:scene', 'sceneleave:scene', 'scenecomplete:scene']);
+});
+
+test('on :: progress and destroy events', t => {
+  let progress = null;
+  let destroyed = false;
+  const onProgress = p => { progress = p; };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.on('progress', onProgress);
+  scroll.on('destroy', () => { destroyed = true; });
+  scroll.start();
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(progress, {p: 300, vp: 0, ap: 0, direction: 1});
+
+  scroll.off('progress', onProgress);
+
+  window.scrollTo(0, 400);
+  window.executeAnimationFrame(1);
+
+  t.is(progress.p, 300);
+
+  scroll.destroy();
+
+  t.is(destroyed, true);
+});
+
+test('start :: effect progress :: crossAxisActive=true', t => {
+  const progress = {x: 0, y: 0};
+  const scroll = new Scroll({
+    root: window,
+    crossAxisActive: true,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress.y = p;
+        },
+        start: 0,
+        duration: 500
+      },
+      {
+        effect(scene, p) {
+          progress.x = p;
+        },
+        start: 100,
+        duration: 200,
+        horizontal: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(200, 300);
+  window.executeAnimationFrame(0);
+
+  t.is(scroll.progress.p, 300);
+  t.is(scroll.progress.cross.p, 200);
+  t.is(progress.y, 0.6);
+  t.is(progress.x, 0.5);
+
+  window.scrollTo(250, 300);
+  window.executeAnimationFrame(1);
+
+  t.is(progress.y, 0.6);
+  t.is(progress.x, 0.75);
+});
+
+test('start :: effect progress :: crossAxisActive=false :: require cross axis', t => {
+  const scroll = new Scroll({
+    root: window,
+    scenes: []
+  });
+
+  scroll.start();
+
+  t.throws(() => scroll.addScenes([{effect() {}, start: 0, duration: 100, horizontal: true}]), {instanceOf: TypeError});
+  t.notThrows(() => scroll.addScenes([{effect() {}, start: 0, duration: 100, horizontal: false}]));
+
+  scroll.destroy();
+});
+
+test('start :: effect progress :: crossAxisActive=true :: view ranges', t => {
+  const element = {
+    offsetHeight: 100,
+    offsetTop: 100,
+    offsetWidth: 100,
+    offsetLeft: 1000,
+    offsetParent: {
+      offsetTop: 200,
+      offsetLeft: 0,
+      offsetParent: {
+        offsetTop: 0
+      }
+    }
+  };
+  const progress = {x: 0, y: 0};
+  const scroll = new Scroll({
+    root: window,
+    crossAxisActive: true,
+    scenes: [
+      {
+        effect(s, p) {
+          progress.y = p;
+        },
+        duration: 'contain', // 300 - 350
+        viewSource: element
+      },
+      {
+        effect(s, p) {
+          progress.x = p;
+        },
+        duration: 'contain', // 600 - 1000
+        viewSource: element,
+        horizontal: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(800, 325);
+  window.executeAnimationFrame(0);
+
+  t.is(progress.y, 0.5);
+  t.is(progress.x, 0.5);
+});
+
+test('start :: effect progress :: transitionActive=true :: transitionType=spring', t => {
+  const progresses = [];
+  const scroll = new Scroll({
+    root: window,
+    transitionActive: true,
+    transitionType: 'spring',
+    transitionStiffness: 200,
+    transitionDamping: 10,
+    scenes: [
+      {
+        effect(scene, p) {
+          progresses.push(p);
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 300);
+
+  for (let i = 0; i < 300 && window.animationFrameHandlers.length; i++) {
+    window.executeAnimationFrame(i * 16);
+  }
+
+  t.is(window.animationFrameHandlers.length, 0);
+  // overshoots before settling
+  t.true(Math.max(...progresses) > 0.6);
+  t.is(progresses[progresses.length - 1], 0.6);
+  t.is(scroll.currentProgress.springVelocity, 0);
+});
+
+test('start :: effect progress :: transitionActive=true :: transitionType=spring :: long frames', t => {
+  const progresses = [];
+  const scroll = new Scroll({
+    root: window,
+    transitionActive: true,
+    transitionType: 'spring',
+    scenes: [
+      {
+        effect(scene, p) {
+          progresses.push(p);
+        },
+        start: 0,
+        duration: 1000
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 1000);
+
+  for (let i = 1; i < 100 && window.animationFrameHandlers.length; i++) {
+    window.executeAnimationFrame(i * 100);
+  }
+
+  t.is(window.animationFrameHandlers.length, 0);
+  t.true(progresses.every(p => p >= 0 && p <= 1));
+  t.is(scroll.currentProgress.p, 1000);
+});
+
+test('start :: effect progress :: transitionActive=true :: frame rate independent', t => {
+  let progress = 0;
+  const scroll = new Scroll({
+    root: window,
+    transitionActive: true,
+    transitionFriction: 0.5,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress = p;
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  t.is(progress, 0.3);
+
+  // two frames at 120Hz
+  window.executeAnimationFrame(1000 / 120);
+  window.executeAnimationFrame(1000 / 60);
+
+  // same as a single frame at 60Hz
+  t.is(progress, 0.45);
+});
+
+test('start :: effect progress :: transitionActive=true :: transitionHalfLife', t => {
+  let progress = 0;
+  const scroll = new Scroll({
+    root: window,
+    transitionActive: true,
+    transitionHalfLife: 100,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress = p;
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 400);
+  window.executeAnimationFrame(0);
+  window.executeAnimationFrame(100);
+
+  // first frame covers ~43.6px, then after one half-life we're half-way to 400
+  t.is(+progress.toFixed(2), 0.44);
+});
+
+test('snap', t => {
+  const scroll = new Scroll({
+    root: window,
+    snapActive: true,
+    scenes: [
+      {
+        effect() {},
+        start: 100,
+        duration: 200,
+        snap: [0, 0.5, 1]
+      },
+      {
+        effect() {},
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 230);
+  window.executeAnimationFrame(0);
+  scroll.snap();
+
+  t.is(window.scrollY, 200);
+
+  window.scrollTo(0, 20);
+  window.executeAnimationFrame(1);
+  scroll.snap();
+
+  t.is(window.scrollY, 100);
+
+  scroll.destroy();
+});
+
+test('snap :: snapProximity', async t => {
+  const scroll = new Scroll({
+    root: window,
+    snapActive: true,
+    snapDelay: 10,
+    snapProximity: 50,
+    scenes: [
+      {
+        effect() {},
+        start: 100,
+        duration: 200,
+        snap: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 20);
+  window.executeAnimationFrame(0);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(window.scrollY, 20);
+
+  window.scrollTo(0, 260);
+  window.executeAnimationFrame(1);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(window.scrollY, 300);
+
+  scroll.destroy();
+});
+
+test.serial('snap :: cancel pending snap on pause', async t => {
+  const scroll = new Scroll({
+    root: window,
+    snapActive: true,
+    snapDelay: 10,
+    scenes: [
+      {
+        effect() {},
+        start: 100,
+        duration: 200,
+        snap: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 130);
+  window.executeAnimationFrame(0);
+  scroll.pause();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  t.is(window.scrollY, 130);
+
+  scroll.destroy();
+});
+
+test('resume :: keep scenes and catch up to current progress', t => {
+  let progress = 0;
+  let destroyed = false;
+  const scroll = new Scroll({
+    root: window,
+    transitionActive: true,
+    transitionFriction: 0.5,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress = p;
+        },
+        destroy() { destroyed = true; },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 100);
+  window.executeAnimationFrame(0);
+
+  t.is(progress, 0.1);
+
+  const controller = scroll.effect;
+
+  scroll.pause();
+
+  t.is(window.animationFrameHandlers.length, 0);
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(1);
+
+  t.is(progress, 0.1);
+
+  scroll.resume();
+
+  t.is(progress, 0.6);
+  t.is(scroll.effect, controller);
+  t.is(destroyed, false);
+
+  window.scrollTo(0, 400);
+  window.executeAnimationFrame(2);
+
+  t.is(progress, 0.7);
+});
+
+test('start :: effect progress :: velocityActive=true :: velocitySmoothing', t => {
+  let velocity = 0;
+  let acceleration = 0;
+  let direction = 0;
+  const scroll = new Scroll({
+    root: window,
+    velocityActive: true,
+    velocityMax: 400,
+    velocitySmoothing: 0.5,
+    scenes: [
+      {
+        effect(scene, p, v, a, d) {
+          velocity = v;
+          acceleration = a;
+          direction = d;
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(0);
+
+  t.is(velocity, 0.25);
+  t.is(acceleration, 0.25);
+  t.is(direction, 1);
+
+  window.scrollTo(0, 400);
+  window.executeAnimationFrame(1000 / 60);
+
+  t.is(velocity, 0.375);
+  t.is(acceleration, 0.125);
+
+  window.scrollTo(0, 350);
+  window.executeAnimationFrame(2000 / 60);
+
+  t.is(scroll.progress.vp, 0.125);
+  t.is(direction, -1);
+});
+
+test('start :: effect progress :: velocityActive=true :: decay to rest', t => {
+  let velocity = 0;
+  const scroll = new Scroll({
+    root: window,
+    velocityActive: true,
+    velocityMax: 400,
+    scenes: [
+      {
+        effect(scene, p, v) {
+          velocity = v;
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(0);
+
+  t.is(velocity, 0.5);
+
+  window.executeAnimationFrame(1000 / 60);
+
+  t.is(velocity, 0);
+  t.is(window.animationFrameHandlers.length, 0);
+});
+
+test('start :: effect progress :: velocityActive=true :: velocityDecay', t => {
+  const velocities = [];
+  const scroll = new Scroll({
+    root: window,
+    velocityActive: true,
+    velocityMax: 400,
+    velocityDecay: 0.5,
+    scenes: [
+      {
+        effect(scene, p, v) {
+          velocities.push(v);
+        },
+        start: 0,
+        duration: 500
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 400);
+
+  for (let i = 0; i < 100 && window.animationFrameHandlers.length; i++) {
+    window.executeAnimationFrame(i * 1000 / 60);
+  }
+
+  t.deepEqual(velocities.slice(0, 5), [0, 1, 0.5, 0.25, 0.125]);
+  t.is(velocities[velocities.length - 1], 0);
+  t.is(window.animationFrameHandlers.length, 0);
+});
+
+test('start :: effect progress :: easing', t => {
+  const progress = [0, 0];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect(scene, p) {
+          progress[0] = p;
+        },
+        start: 0,
+        duration: 400,
+        easing: 'steps(2)'
+      },
+      {
+        effect(scene, p) {
+          progress[1] = p;
+        },
+        start: 0,
+        duration: 400,
+        easing: p => p * p
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  t.is(progress[0], 0.5);
+  t.is(progress[1], 0.5625);
+});
+
+test('start :: effect progress :: once', t => {
+  const progresses = [];
+  let destroyed = false;
+  const viewSource = {};
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect(scene, p) {
+          progresses.push(p);
+        },
+        destroy() { destroyed = true; },
+        start: 0,
+        duration: 200,
+        viewSource,
+        once: true,
+        destroyOnComplete: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 100);
+  window.executeAnimationFrame(0);
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(1);
+
+  t.deepEqual(progresses, [0, 0.5, 0.5]);
+
+  // scene gets disabled while we jump past it
+  window.intersectionEntries.push({
+    isIntersecting: false,
+    target: viewSource
+  });
+  window.scrollTo(0, 500);
+  window.executeAnimationFrame(2);
+
+  t.deepEqual(progresses.slice(3), [1]);
+  t.is(destroyed, true);
+
+  window.scrollTo(0, 0);
+  window.executeAnimationFrame(3);
+
+  t.is(progresses.length, 4);
+});
+
+test('start :: effect progress :: once :: keep final output', t => {
+  const classes = new Set();
+  const styles = {};
+  const target = {
+    style: {
+      setProperty(name, value) {
+        styles[name] = value;
+      },
+      removeProperty(name) {
+        delete styles[name];
+      }
+    },
+    classList: {
+      toggle(className, force) {
+        force ? classes.add(className) : classes.delete(className);
+      },
+      remove(...classNames) {
+        classNames.forEach(className => classes.delete(className));
+      }
+    }
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        target,
+        keyframes: [{opacity: 0}, {opacity: 1}],
+        cssVars: true,
+        once: true
+      },
+      {
+        start: 0,
+        duration: 100,
+        toggle: true,
+        toggleTarget: target,
+        toggleClasses: true,
+        once: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(styles, {opacity: '0.5', '--fizban-progress': '0.5'});
+  t.deepEqual([...classes], ['is-active']);
+
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(1);
+
+  t.deepEqual(styles, {opacity: '1', '--fizban-progress': '1'});
+  t.deepEqual([...classes], ['is-after']);
+
+  window.scrollTo(0, 0);
+  window.executeAnimationFrame(2);
+
+  t.deepEqual(styles, {opacity: '1', '--fizban-progress': '1'});
+  t.deepEqual([...classes], ['is-after']);
+});
+
+test('start :: effect progress :: once :: destroy completed scenes with controller', t => {
+  let destroyed = 0;
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        destroy() { destroyed++; },
+        start: 0,
+        duration: 100,
+        once: true
+      },
+      {
+        effect() {},
+        destroy() { destroyed++; },
+        start: 0,
+        duration: 100,
+        once: true,
+        destroyOnComplete: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(0);
+
+  t.is(destroyed, 1);
+
+  scroll.destroy();
+
+  t.is(destroyed, 2);
+});
+
+test('scene callbacks :: directional enter and leave', t => {
+  const calls = [];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        start: 100,
+        duration: 100,
+        onEnter() { calls.push('enter'); },
+        onLeave() { calls.push('leave'); },
+        onEnterBack() { calls.push('enterBack'); },
+        onLeaveBack() { calls.push('leaveBack'); }
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(0);
+  window.scrollTo(0, 250);
+  window.executeAnimationFrame(1);
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(2);
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(3);
+
+  t.deepEqual(calls, ['enter', 'leave', 'enterBack', 'leaveBack']);
+
+  calls.length = 0;
+
+  // jump across the whole scene in one frame in both directions
+  window.scrollTo(0, 500);
+  window.executeAnimationFrame(4);
+  window.scrollTo(0, 0);
+  window.executeAnimationFrame(5);
+
+  t.deepEqual(calls, ['enter', 'leave', 'enterBack', 'leaveBack']);
+});
+
+test('toggle :: classes and attribute', t => {
+  const classes = new Set();
+  const attributes = {};
+  const target = {
+    classList: {
+      toggle(className, force) {
+        force ? classes.add(className) : classes.delete(className);
+      },
+      remove(...classNames) {
+        classNames.forEach(className => classes.delete(className));
+      }
+    },
+    setAttribute(name, value) {
+      attributes[name] = value;
+    },
+    removeAttribute(name) {
+      delete attributes[name];
+    }
+  };
+  const actives = [];
+  const scene = {
+    effect(scene, active) {
+      actives.push(active);
+    },
+    start: 100,
+    duration: 100,
+    toggle: true,
+    toggleTarget: target,
+    toggleClasses: {active: 'visible'},
+    toggleAttribute: 'data-state'
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [scene]
+  });
+
+  scroll.start();
+
+  t.deepEqual([...classes], ['is-before']);
+  t.is(attributes['data-state'], 'before');
+
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual([...classes], ['visible']);
+  t.is(attributes['data-state'], 'active');
+
+  window.scrollTo(0, 170);
+  window.executeAnimationFrame(1);
+  window.scrollTo(0, 250);
+  window.executeAnimationFrame(2);
+
+  t.deepEqual([...classes], ['is-after']);
+  t.is(attributes['data-state'], 'after');
+  t.deepEqual(actives, [false, true, false]);
+
+  classes.add('other');
+  scroll.removeScenes(scene);
+
+  t.deepEqual([...classes], ['other']);
+  t.deepEqual(attributes, {});
+});
+
+test('toggle :: clear state on destroy', t => {
+  const classes = new Set();
+  const target = {
+    classList: {
+      toggle(className, force) {
+        force ? classes.add(className) : classes.delete(className);
+      },
+      remove(...classNames) {
+        classNames.forEach(className => classes.delete(className));
+      }
+    }
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 100,
+        duration: 100,
+        toggle: true,
+        toggleTarget: target,
+        toggleClasses: true
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.deepEqual([...classes], ['is-before']);
+
+  scroll.destroy();
+
+  t.deepEqual([...classes], []);
+});
+
+test('keyframes :: write interpolated styles to target', t => {
+  const writes = [];
+  const target = {
+    style: {
+      setProperty(name, value) {
+        writes.push([name, value]);
+      }
+    }
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        target,
+        keyframes: [
+          {opacity: 0, transform: 'translateX(0px)'},
+          {opacity: 1, transform: 'translateX(100px)'}
+        ]
+      }
+    ]
+  });
+
+  window.scrollTo(0, 0);
+  scroll.start();
+
+  t.deepEqual(writes, [['opacity', '0'], ['transform', 'translateX(0px)']]);
+
+  writes.length = 0;
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(writes, [['opacity', '0.5'], ['transform', 'translateX(50px)']]);
+
+  writes.length = 0;
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(1);
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(2);
+
+  // values that did not change are not written again
+  t.deepEqual(writes, [['opacity', '1'], ['transform', 'translateX(100px)']]);
+});
+
+test('keyframes :: remove styles when scenes are released', t => {
+  const getTarget = () => {
+    const target = {
+      styles: {},
+      style: {
+        setProperty(name, value) {
+          target.styles[name] = value;
+        },
+        removeProperty(name) {
+          delete target.styles[name];
+        }
+      }
+    };
+
+    return target;
+  };
+  const target = getTarget();
+  const childTarget = getTarget();
+  const elements = [getTarget(), getTarget()];
+  const removed = {
+    start: 0,
+    duration: 100,
+    target,
+    keyframes: [{opacity: 0}, {opacity: 1}],
+    children: [
+      {target: childTarget, keyframes: [{scale: '0'}, {scale: '1'}]}
+    ]
+  };
+  const destroyed = {
+    start: 0,
+    duration: 100,
+    elements,
+    keyframes: [{translate: '0px'}, {translate: '100px'}]
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [removed, destroyed]
+  });
+
+  window.scrollTo(0, 0);
+  scroll.start();
+  target.styles.color = 'red';
+
+  t.deepEqual(target.styles, {opacity: '0', color: 'red'});
+  t.deepEqual(childTarget.styles, {scale: '0'});
+  t.deepEqual(elements[1].styles, {translate: '0px'});
+
+  scroll.removeScenes(removed);
+
+  t.deepEqual(target.styles, {color: 'red'});
+  t.deepEqual(childTarget.styles, {});
+  t.deepEqual(elements[1].styles, {translate: '0px'});
+
+  scroll.destroy();
+
+  t.deepEqual(elements[0].styles, {});
+  t.deepEqual(elements[1].styles, {});
+});
+
+test('animations :: drive current time by progress', t => {
+  const viewSource = {};
+  const keyframeEffect = {
+    getComputedTiming() {
+      return {delay: 100, duration: 500, activeDuration: 1000};
+    }
+  };
+  const animation = new window.Animation({
+    getComputedTiming() {
+      return {delay: 0, duration: 200, activeDuration: Infinity};
+    }
+  });
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        viewSource,
+        animations: [keyframeEffect, animation]
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.is(animation.playState, 'paused');
+  t.is(animation.currentTime, 0);
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(0);
+
+  t.is(animation.currentTime, 100);
+
+  animation.play();
+  window.intersectionEntries.push({
+    isIntersecting: false,
+    target: viewSource
+  });
+  window.scrollTo(0, 70);
+  window.executeAnimationFrame(1);
+
+  t.is(animation.playState, 'paused');
+  t.is(animation.currentTime, 100);
+});
+
+test('animations :: wrap keyframe effects', t => {
+  const Animation = window.Animation;
+  const animations = [];
+  const keyframeEffect = {
+    getComputedTiming() {
+      return {delay: 100, duration: 500, activeDuration: 1000};
+    }
+  };
+
+  window.Animation = function (effect) {
+    const animation = new Animation(effect);
+    animations.push(animation);
+
+    return animation;
+  };
+
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        animations: keyframeEffect
+      }
+    ]
+  });
+
+  window.scrollTo(0, 40);
+  scroll.start();
+
+  window.Animation = Animation;
+
+  t.is(animations.length, 1);
+  t.is(animations[0].effect, keyframeEffect);
+  t.is(animations[0].playState, 'paused');
+  t.is(animations[0].currentTime, 500);
+});
+
+test('cssVars :: write progress and velocity as custom properties', t => {
+  const styles = {};
+  const target = {
+    style: {
+      setProperty(name, value) {
+        styles[name] = value;
+      },
+      removeProperty(name) {
+        delete styles[name];
+      }
+    }
+  };
+  const scene = {
+    start: 0,
+    duration: 100,
+    cssVars: {target, velocity: true}
+  };
+  const scroll = new Scroll({
+    root: window,
+    velocityActive: true,
+    velocityMax: 100,
+    scenes: [
+      scene,
+      {
+        start: 0,
+        duration: 200,
+        target,
+        cssVars: {progress: '--half'}
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.deepEqual(styles, {'--fizban-progress': '0', '--fizban-velocity': '0', '--half': '0'});
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(styles, {'--fizban-progress': '0.5', '--fizban-velocity': '0.5', '--half': '0.25'});
+
+  scroll.removeScenes(scene);
+
+  t.deepEqual(styles, {'--half': '0.25'});
+
+  scroll.destroy();
+
+  t.deepEqual(styles, {});
+});
+
+test('cssVars :: register custom properties once', t => {
+  const registered = [];
+
+  window.CSS = {
+    registerProperty(definition) {
+      if (registered.some(({name}) => name === definition.name)) {
+        throw new Error('already registered');
+      }
+
+      registered.push(definition);
+    }
+  };
+
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        target: {style: {setProperty() {}}},
+        cssVars: {progress: '--registered-progress'}
+      },
+      {
+        start: 0,
+        duration: 100,
+        target: {style: {setProperty() {}}},
+        cssVars: {progress: '--registered-progress'}
+      }
+    ]
+  });
+
+  scroll.start();
+
+  delete window.CSS;
+
+  t.deepEqual(registered, [{name: '--registered-progress', syntax: '<number>', inherits: true, initialValue: '0'}]);
+});
+
+test('nativeTimelinesActive :: delegate eligible scenes', t => {
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+  const stickySource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {
+      offsetTop: 0,
+      style: {position: 'sticky', top: '0px'}
+    }
+  };
+  const delegated = new window.Animation({
+    getComputedTiming() {
+      return {delay: 0, duration: 1000, activeDuration: 1000};
+    }
+  });
+  const sticky = new window.Animation({
+    getComputedTiming() {
+      return {delay: 0, duration: 1000, activeDuration: 1000};
+    }
+  });
+  const scenes = [
+    {
+      start: {name: 'entry', offset: 20, add: '10vh'},
+      end: {name: 'exit', offset: 50, add: {value: 10, unit: 'percent'}},
+      viewSource,
+      animations: delegated
+    },
+    {
+      duration: 'contain',
+      viewSource: stickySource,
+      animations: sticky
+    },
+    {
+      effect() {},
+      duration: 'cover',
+      viewSource,
+      animations: []
+    }
+  ];
+
+  window.ViewTimeline = function (options) {
+    return {options};
+  };
+  window.ScrollTimeline = function () {};
+
+  const scroll = new Scroll({
+    root: window,
+    nativeTimelinesActive: true,
+    scenes
+  });
+
+  scroll.start();
+
+  delete window.ViewTimeline;
+  delete window.ScrollTimeline;
+
+  t.deepEqual(scroll.getDelegatedScenes(), [scenes[0]]);
+  t.deepEqual(delegated.timeline.options, {subject: viewSource, axis: 'y'});
+  t.is(delegated.rangeStart, 'entry calc(20% + 10vh)');
+  t.is(delegated.rangeEnd, 'exit calc(50% + 10%)');
+  t.is(delegated.playState, 'running');
+  t.is(delegated.currentTime, null);
+  t.is(sticky.timeline, undefined);
+  t.is(sticky.playState, 'paused');
+
+  scroll.removeScenes(scenes[0]);
+
+  t.deepEqual(scroll.getDelegatedScenes(), []);
+  t.is(delegated.playState, 'paused');
+  t.is(delegated.timeline, null);
+});
+
+test('nativeTimelinesActive :: release delegated scenes on destroy', t => {
+  const animation = new window.Animation({
+    getComputedTiming() {
+      return {delay: 0, duration: 1000, activeDuration: 1000};
+    }
+  });
+
+  window.ViewTimeline = function (options) {
+    return {options};
+  };
+  window.ScrollTimeline = function () {};
+
+  const scroll = new Scroll({
+    root: window,
+    nativeTimelinesActive: true,
+    scenes: [
+      {
+        duration: 'cover',
+        viewSource: {
+          offsetHeight: 100,
+          offsetTop: 300,
+          offsetParent: {offsetTop: 0}
+        },
+        animations: animation
+      }
+    ]
+  });
+
+  scroll.start();
+
+  delete window.ViewTimeline;
+  delete window.ScrollTimeline;
+
+  t.is(animation.playState, 'running');
+
+  scroll.destroy();
+
+  t.deepEqual(scroll.getDelegatedScenes(), []);
+  t.is(animation.playState, 'paused');
+  t.is(animation.timeline, null);
+});
+
+test('nativeTimelinesActive :: fallback without support', t => {
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+  const animation = new window.Animation({
+    getComputedTiming() {
+      return {delay: 0, duration: 1000, activeDuration: 1000};
+    }
+  });
+  const scroll = new Scroll({
+    root: window,
+    nativeTimelinesActive: true,
+    scenes: [
+      {
+        duration: 'cover',
+        viewSource,
+        animations: animation
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.deepEqual(scroll.getDelegatedScenes(), []);
+  t.is(animation.playState, 'paused');
+  t.is(animation.currentTime, 0);
+});
+
+test('children :: progress by fractions of parent progress', t => {
+  const progresses = {};
+  const writes = {};
+  const target = {
+    style: {
+      setProperty(name, value) {
+        writes[name] = value;
+      }
+    }
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 100,
+        duration: 200,
+        target,
+        easing: 'ease-in',
+        effect(scene, p) {
+          progresses.parent = p;
+        },
+        children: [
+          {
+            start: 0.25,
+            end: 0.75,
+            effect(scene, p) {
+              progresses.first = p;
+            },
+            children: [
+              {
+                start: 0.5,
+                keyframes: {opacity: [0, 1]}
+              }
+            ]
+          },
+          {
+            start: 0.5,
+            effect(scene, p) {
+              progresses.second = p;
+            }
+          }
+        ]
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.deepEqual(progresses, {parent: 0, first: 0, second: 0});
+  t.is(writes.opacity, '0');
+
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(0);
+
+  t.is(progresses.first, 0);
+
+  window.scrollTo(0, 200);
+  window.executeAnimationFrame(1);
+
+  // children use the parent's linear progress of 0.5
+  t.is(progresses.first, 0.5);
+  t.is(progresses.second, 0);
+  t.is(writes.opacity, '0');
+
+  window.scrollTo(0, 225);
+  window.executeAnimationFrame(2);
+
+  t.is(progresses.first, 0.75);
+  t.is(progresses.second, 0.25);
+  t.is(writes.opacity, '0.5');
+
+  window.scrollTo(0, 250);
+  window.executeAnimationFrame(3);
+
+  t.is(progresses.first, 1);
+  t.is(progresses.second, 0.5);
+  t.is(writes.opacity, '1');
+});
+
+test('stagger :: sub-progress per element', t => {
+  const elements = [{id: 'a'}, {id: 'b'}, {id: 'c'}];
+  const progresses = {};
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 200,
+        elements,
+        stagger: 50,
+        effect(scene, p) {
+          progresses[scene.element.id] = p;
+        }
+      }
+    ]
+  });
+
+  scroll.start();
+
+  t.deepEqual(progresses, {a: 0, b: 0, c: 0});
+
+  window.scrollTo(0, 100);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(progresses, {a: 1, b: 0.5, c: 0});
+
+  window.scrollTo(0, 150);
+  window.executeAnimationFrame(1);
+
+  t.deepEqual(progresses, {a: 1, b: 1, c: 0.5});
+});
+
+test('stagger :: compute starts on registration', t => {
+  let calls = 0;
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        elements: [{}, {}],
+        stagger(index) {
+          calls++;
+          return index * 0.5;
+        },
+        effect() {}
+      }
+    ]
+  });
+
+  scroll.start();
+
+  const registrationCalls = calls;
+
+  window.scrollTo(0, 25);
+  window.executeAnimationFrame(0);
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(1);
+
+  t.true(registrationCalls > 0);
+  t.is(calls, registrationCalls);
+});
+
+test('stagger :: percentage and function', t => {
+  const writes = [];
+  const elements = [0, 1, 2, 3].map(index => ({
+    style: {
+      setProperty(name, value) {
+        writes[index] = value;
+      }
+    }
+  }));
+  const indices = [];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        elements,
+        stagger: '25%',
+        keyframes: [{opacity: 0}, {opacity: 1}]
+      },
+      {
+        start: 0,
+        duration: 100,
+        elements: elements.slice(0, 2),
+        // reversed order
+        stagger: (index, count) => (count - 1 - index) * 0.5,
+        effect(scene, p) {
+          indices[scene.index] = p;
+        }
+      }
+    ]
+  });
+
+  window.scrollTo(0, 25);
+  scroll.start();
+
+  t.deepEqual(writes, ['1', '0', '0', '0']);
+  t.deepEqual(indices, [0, 0.5]);
+
+  t.throws(() => scroll.addScenes([{start: 0, duration: 100, elements, stagger: '25px', effect() {}}]), {instanceOf: SyntaxError});
+});
+
+test.serial('viewport units :: measure small, large and dynamic viewports and follow dynamic changes', async t => {
+  const {document} = window;
+  const viewport = {s: 40, l: 80, d: 60};
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+
+  window.CSS = {
+    supports: () => true
+  };
+  document.body.appendChild = () => {};
+  document.createElement = () => {
+    const probe = {
+      style: {},
+      remove() {},
+      get offsetWidth () {
+        return 500;
+      },
+      get offsetHeight () {
+        return viewport[probe.style.height[3]];
+      }
+    };
+
+    return probe;
+  };
+
+  const starts = [];
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        start: {name: 'entry', offset: 0, add: 'calc(100svh - 100lvh + 100dvh)'},
+        end: {name: 'exit', offset: 100},
+        viewSource
+      }
+    ]
+  });
+
+  scroll.on('rangesupdate', scenes => starts.push(scenes[0].start));
+  scroll.start();
+
+  // toolbars hide
+  viewport.d = 80;
+  window.eventListeners.resize.forEach(listener => listener());
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  scroll.destroy();
+
+  delete window.CSS;
+  delete document.body.appendChild;
+  delete document.createElement;
+
+  // entry starts at 300 - 50, adding 40 - 80 + 80
+  t.deepEqual(starts, [290]);
+});
+
+test.serial('viewport units :: measure only viewports whose units are used', t => {
+  const {document} = window;
+  const measured = [];
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+
+  window.CSS = {
+    supports: () => true
+  };
+  document.body.appendChild = () => {};
+  document.createElement = () => {
+    const probe = {
+      style: {},
+      remove() {},
+      get offsetWidth () {
+        return 500;
+      },
+      get offsetHeight () {
+        measured.push(probe.style.height);
+        return 50;
+      }
+    };
+
+    return probe;
+  };
+
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        effect() {},
+        start: 0,
+        duration: 100
+      },
+      {
+        effect() {},
+        duration: 'cover',
+        viewSource
+      }
+    ]
+  });
+
+  scroll.start();
+
+  const measuredWithoutUnits = measured.slice();
+
+  scroll.addScenes([
+    {
+      effect() {},
+      start: {name: 'entry', offset: 0, add: {value: 10, unit: 'lvh'}},
+      end: {name: 'exit', offset: 100},
+      viewSource
+    }
+  ]);
+
+  scroll.destroy();
+
+  delete window.CSS;
+  delete document.body.appendChild;
+  delete document.createElement;
+
+  t.deepEqual(measuredWithoutUnits, []);
+  t.deepEqual(measured, ['100lvh']);
+});
+
+test.serial('observeViewportResize :: re-measure viewport and update ranges', async t => {
+  const {documentElement} = window.document;
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+  const ranges = [];
+  const scroll = new Scroll({
+    root: window,
+    observeViewportResize: true,
+    scenes: [
+      {
+        effect() {},
+        start: {name: 'entry', offset: 0, add: '10vh'},
+        end: {name: 'exit', offset: 100, add: '10vw'},
+        viewSource
+      }
+    ]
+  });
+
+  scroll.on('rangesupdate', scenes => ranges.push([scenes[0].start, scenes[0].end]));
+  scroll.start();
+
+  documentElement.clientHeight = 100;
+  documentElement.clientWidth = 300;
+  window.eventListeners.resize.forEach(listener => listener());
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  scroll.destroy();
+
+  documentElement.clientHeight = 50;
+  documentElement.clientWidth = 500;
+
+  // entry starts at 300 - 100 adding 10px, exit ends at 400 adding 30px
+  t.deepEqual(ranges, [[210, 430]]);
+});
+
+test.serial('observeViewportResize :: disable updated scenes', async t => {
+  const {documentElement} = window.document;
+  const viewSource = {
+    offsetHeight: 100,
+    offsetTop: 300,
+    offsetParent: {offsetTop: 0}
+  };
+  const progresses = [];
+  const scroll = new Scroll({
+    root: window,
+    observeViewportResize: true,
+    scenes: [
+      {
+        effect(scene, p) {
+          progresses.push(p);
+        },
+        duration: 'cover',
+        viewSource
+      }
+    ]
+  });
+
+  scroll.start();
+
+  documentElement.clientHeight = 100;
+  window.eventListeners.resize.forEach(listener => listener());
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  progresses.length = 0;
+  window.intersectionEntries.push({
+    isIntersecting: false,
+    target: viewSource
+  });
+  window.scrollTo(0, 300);
+  window.executeAnimationFrame(0);
+
+  scroll.destroy();
+
+  documentElement.clientHeight = 50;
+
+  t.deepEqual(progresses, []);
+});
+
+test('horizontal :: rtl :: logical scroll positions', t => {
+  const {documentElement} = window.document;
+  const progresses = [];
+
+  documentElement.style = {direction: 'rtl'};
+  window.scrollX = 0;
+
+  const scroll = new Scroll({
+    root: window,
+    horizontal: true,
+    scenes: [
+      {
+        id: 'rtl',
+        effect(scene, p) {
+          progresses.push(p);
+        },
+        start: 100,
+        duration: 100
+      }
+    ]
+  });
+
+  scroll.start();
+
+  // physical scroll positions go negative from the right edge
+  window.scrollTo(-150, 0);
+  window.executeAnimationFrame(0);
+
+  scroll.scrollToScene('rtl', 1);
+
+  const scrollX = window.scrollX;
+
+  window.executeAnimationFrame(1);
+
+  delete documentElement.style;
+  window.scrollX = 0;
+
+  t.deepEqual(progresses, [0, 0.5, 1]);
+  t.is(scrollX, -200);
+});
+
+test('start :: effect progress :: view ranges :: animation-range strings', t => {
+  const element = {
+    offsetHeight: 100,
+    offsetTop: 100,
+    offsetParent: {
+      offsetTop: 200,
+      offsetParent: {
+        offsetTop: 0
+      }
+    }
+  };
+  const progresses = {};
+  const scene = {
+    id: 'range',
+    effect(s, p) {
+      progresses.range = p;
+    },
+    range: 'entry 50% contain calc(50% + 10px)', // 275 to 335
+    viewSource: element
+  };
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      scene,
+      {
+        effect(s, p) {
+          progresses.start = p;
+        },
+        start: 'entry 50%', // 275
+        end: {name: 'contain', offset: 50, add: '10px'}, // 335
+        viewSource: element
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 305);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(progresses, {range: 0.5, start: 0.5});
+
+  scroll.removeScenes('range');
+
+  t.deepEqual(scroll.config.scenes.map(({id}) => id), [undefined]);
+  t.is(scroll.config.scenes.includes(scene), false);
+});
+
+test('stagger :: scenes sharing elements', t => {
+  const elements = [{id: 'a'}, {id: 'b'}];
+  const calls = {first: 0, second: 0};
+  const scroll = new Scroll({
+    root: window,
+    scenes: [
+      {
+        start: 0,
+        duration: 100,
+        elements,
+        effect() {
+          calls.first++;
+        }
+      },
+      {
+        start: 0,
+        duration: 100,
+        elements,
+        stagger: '50%',
+        effect() {
+          calls.second++;
+        }
+      }
+    ]
+  });
+
+  scroll.start();
+
+  window.scrollTo(0, 50);
+  window.executeAnimationFrame(0);
+
+  t.deepEqual(calls, {first: 4, second: 4});
+});
+
+test('keyframes :: require a target', t => {
+  const scroll = new Scroll({
+    root: window,
+    scenes: []
+  });
+
+  scroll.start();
+
+  t.throws(() => scroll.addScenes([{start: 0, duration: 100, keyframes: {opacity: [0, 1]}}]), {instanceOf: TypeError});
+  t.throws(() => scroll.addScenes([{start: 0, duration: 100, cssVars: true}]), {instanceOf: TypeError});
+  t.throws(() => scroll.addScenes([{start: 0, duration: 100, children: [{keyframes: {opacity: [0, 1]}}]}]), {instanceOf: TypeError});
+  t.notThrows(() => scroll.addScenes([{start: 0, duration: 100, target: {style: {setProperty() {}}}, children: [{keyframes: {opacity: [0, 1]}}]}]));
+  t.notThrows(() => scroll.addScenes([{start: 0, duration: 100, cssVars: {target: {style: {setProperty() {}}}}}]));
+});
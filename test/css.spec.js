@@ -0,0 +1,131 @@
+import test from 'ava';
+import { parseLength, parseRange, parseRangeOffset } from '../src/css.js';
+
+const context = {
+  viewportWidth: 500,
+  viewportHeight: 200,
+  rootFontSize: 10,
+  fontSize: 20,
+  rangeSize: 300
+};
+
+test('empty', t => {
+  t.is(parseLength(undefined, context), 0);
+  t.is(parseLength('', context), 0);
+  t.is(parseLength('0', context), 0);
+});
+
+test('units', t => {
+  t.is(parseLength('12.5px', context), 12.5);
+  t.is(parseLength('-10px', context), -10);
+  t.is(parseLength('.5in', context), 48);
+  t.is(parseLength('10vh', context), 20);
+  t.is(parseLength('10svh', context), 20);
+  t.is(parseLength('10dvw', context), 50);
+  t.is(parseLength('10vmin', context), 20);
+  t.is(parseLength('10lvmax', context), 50);
+  t.is(parseLength('2em', context), 40);
+  t.is(parseLength('2rem', context), 20);
+  t.is(parseLength('10%', context), 30);
+});
+
+test('units :: small, large and dynamic viewports', t => {
+  const viewportContext = {
+    ...context,
+    smallViewportWidth: 400,
+    smallViewportHeight: 100,
+    largeViewportWidth: 600,
+    largeViewportHeight: 300,
+    dynamicViewportWidth: 500,
+    dynamicViewportHeight: 150
+  };
+
+  t.is(parseLength('10vh', viewportContext), 20);
+  t.is(parseLength('10svh', viewportContext), 10);
+  t.is(parseLength('10lvh', viewportContext), 30);
+  t.is(parseLength('10dvh', viewportContext), 15);
+  t.is(parseLength('10svw', viewportContext), 40);
+  t.is(parseLength('10lvmin', viewportContext), 30);
+  t.is(parseLength('10dvmax', viewportContext), 50);
+});
+
+test('calc', t => {
+  t.is(parseLength('calc(10vh + 25px)', context), 45);
+  t.is(parseLength('calc(10vh - 25px)', context), -5);
+  t.is(parseLength('calc(10px - -5px)', context), 15);
+  t.is(parseLength('calc(2 * 10px + 100% / 3)', context), 120);
+  t.is(parseLength('calc((10px + 1rem) * 2)', context), 40);
+  t.is(parseLength('calc(1em + calc(2 * (5px - 1px)))', context), 28);
+});
+
+test('min, max and clamp', t => {
+  t.is(parseLength('min(10vh, 50px)', context), 20);
+  t.is(parseLength('max(10vh, 50px, 1rem)', context), 50);
+  t.is(parseLength('clamp(10px, 10vw, 40px)', context), 40);
+  t.is(parseLength('calc(max(1em, 5px) - min(10%, 2rem))', context), 0);
+});
+
+test('unit value objects', t => {
+  t.is(parseLength({value: 10, unit: 'vh'}, context), 20);
+  t.is(parseLength({value: 50, unit: 'percent'}, context), 150);
+});
+
+test('invalid', t => {
+  [
+    '10',
+    '10foo',
+    'abc',
+    '10px 10px',
+    '(10px)',
+    'calc(10px + 5)',
+    'calc(10px * 5px)',
+    'calc(10px / 0)',
+    'calc(10px -5px)',
+    'calc(10px + 5px',
+    'clamp(10px, 20px)',
+    'foo(10px)',
+    {value: 10, unit: 'foo'}
+  ].forEach(input => {
+    t.throws(() => parseLength(input, context), {instanceOf: SyntaxError}, String(input));
+  });
+});
+
+test('range :: names and offsets', t => {
+  t.deepEqual(parseRange('entry 20% exit calc(80% + 10vh)'), {
+    start: {name: 'entry', offset: 20},
+    end: {name: 'exit', offset: 0, add: 'calc(80% + 10vh)'}
+  });
+  t.deepEqual(parseRange('entry exit'), {
+    start: {name: 'entry', offset: 0},
+    end: {name: 'exit', offset: 100}
+  });
+  t.deepEqual(parseRange('contain -10px'), {
+    start: {name: 'contain', offset: 0, add: '-10px'},
+    end: {name: 'contain', offset: 100}
+  });
+  t.deepEqual(parseRange('entry-crossing 10.5% 50%'), {
+    start: {name: 'entry-crossing', offset: 10.5},
+    end: {name: 'cover', offset: 50}
+  });
+  t.deepEqual(parseRange('normal exit 90%'), {
+    start: {name: 'cover', offset: 0},
+    end: {name: 'exit', offset: 90}
+  });
+});
+
+test('range :: invalid', t => {
+  ['', 'foo', 'entry 10% exit 20% cover', 'entry foo'].forEach(input => {
+    t.throws(() => parseRange(input), {instanceOf: SyntaxError}, input);
+  });
+});
+
+test('range offset', t => {
+  t.deepEqual(parseRangeOffset('contain 10%'), {name: 'contain', offset: 10});
+  t.deepEqual(parseRangeOffset('exit'), {name: 'exit', offset: 0});
+  t.deepEqual(parseRangeOffset('exit', true), {name: 'exit', offset: 100});
+  t.deepEqual(parseRangeOffset('normal', true), {name: 'cover', offset: 100});
+  t.deepEqual(parseRangeOffset('entry max(10px, 5%)'), {name: 'entry', offset: 0, add: 'max(10px, 5%)'});
+  t.deepEqual(parseRangeOffset('25%'), {name: 'cover', offset: 25});
+  t.throws(() => parseRangeOffset('contain 10% 20%'), {instanceOf: SyntaxError});
+  t.throws(() => parseRangeOffset('inside 10%'), {instanceOf: SyntaxError});
+});
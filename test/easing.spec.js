@@ -0,0 +1,101 @@
+import test from 'ava';
+import { getEasing } from '../src/easing.js';
+
+function round (value) {
+  return +value.toFixed(3);
+}
+
+test('function', t => {
+  const fn = p => p * p;
+
+  t.is(getEasing(fn), fn);
+});
+
+test('keyword :: linear', t => {
+  const easing = getEasing('linear');
+
+  t.is(easing(0), 0);
+  t.is(easing(0.3), 0.3);
+  t.is(easing(1), 1);
+});
+
+test('keyword :: ease-in-out', t => {
+  const easing = getEasing('ease-in-out');
+
+  t.is(easing(0), 0);
+  t.is(round(easing(0.5)), 0.5);
+  t.true(easing(0.25) < 0.25);
+  t.true(easing(0.75) > 0.75);
+  t.is(easing(1), 1);
+});
+
+test('keyword :: case-insensitive', t => {
+  t.is(getEasing('EASE')(0.5), getEasing('ease')(0.5));
+  t.is(getEasing('Steps(4, Jump-Start)')(0), 0.25);
+});
+
+test('cubic-bezier', t => {
+  const easing = getEasing('cubic-bezier(0.25, 0.1, 0.25, 1)');
+
+  t.is(round(easing(0.5)), round(getEasing('ease')(0.5)));
+  t.is(round(easing(0.5)), 0.802);
+});
+
+test('cubic-bezier :: overshoot', t => {
+  const easing = getEasing('cubic-bezier(0.3, 1.5, 0.7, 1.5)');
+
+  t.true(easing(0.7) > 1);
+  t.is(easing(1), 1);
+});
+
+test('steps', t => {
+  const easing = getEasing('steps(4)');
+
+  t.is(easing(0), 0);
+  t.is(easing(0.3), 0.25);
+  t.is(easing(0.99), 0.75);
+  t.is(easing(1), 1);
+});
+
+test('steps :: jump-start', t => {
+  const easing = getEasing('steps(4, jump-start)');
+
+  t.is(easing(0), 0.25);
+  t.is(easing(0.3), 0.5);
+  t.is(easing(1), 1);
+});
+
+test('steps :: jump-none', t => {
+  const easing = getEasing('steps(3, jump-none)');
+
+  t.is(easing(0), 0);
+  t.is(easing(0.5), 0.5);
+  t.is(easing(1), 1);
+});
+
+test('linear()', t => {
+  const easing = getEasing('linear(0, 0.8 25%, 1)');
+
+  t.is(easing(0), 0);
+  t.is(round(easing(0.125)), 0.4);
+  t.is(easing(0.25), 0.8);
+  t.is(round(easing(0.625)), 0.9);
+  t.is(easing(1), 1);
+});
+
+test('linear() :: evenly spread stops and hold', t => {
+  const easing = getEasing('linear(0, 0.5, 0.5 50% 75%, 1)');
+
+  t.is(round(easing(0.125)), 0.25);
+  t.is(easing(0.6), 0.5);
+  t.is(easing(1), 1);
+});
+
+test('invalid', t => {
+  t.throws(() => getEasing('bounce'), {instanceOf: SyntaxError});
+  t.throws(() => getEasing('toString'), {instanceOf: SyntaxError});
+  t.throws(() => getEasing('constructor'), {instanceOf: SyntaxError});
+  t.throws(() => getEasing('cubic-bezier(2, 0, 1, 1)'), {instanceOf: SyntaxError});
+  t.throws(() => getEasing('steps(0)'), {instanceOf: SyntaxError});
+  t.throws(() => getEasing('linear(1)'), {instanceOf: SyntaxError});
+});
@@ -0,0 +1,69 @@
+import test from 'ava';
+import { getKeyframesInterpolator } from '../src/keyframes.js';
+
+test('list :: numbers and units', t => {
+  const interpolate = getKeyframesInterpolator([
+    {opacity: 0, transform: 'translate(0px, -10%) scale(1)'},
+    {opacity: 1, transform: 'translate(100px, 10%) scale(0.5)'}
+  ]);
+
+  t.deepEqual(interpolate(0), {opacity: '0', transform: 'translate(0px, -10%) scale(1)'});
+  t.deepEqual(interpolate(0.5), {opacity: '0.5', transform: 'translate(50px, 0%) scale(0.75)'});
+  t.deepEqual(interpolate(1), {opacity: '1', transform: 'translate(100px, 10%) scale(0.5)'});
+});
+
+test('list :: offsets', t => {
+  const interpolate = getKeyframesInterpolator([
+    {opacity: 0},
+    {opacity: 1, offset: 0.25},
+    {opacity: 1},
+    {opacity: 0}
+  ]);
+
+  t.deepEqual(interpolate(0.125), {opacity: '0.5'});
+  // missing offset is spread evenly to 0.625
+  t.deepEqual(interpolate(0.5), {opacity: '1'});
+  t.deepEqual(interpolate(0.8125), {opacity: '0.5'});
+});
+
+test('list :: easing', t => {
+  const interpolate = getKeyframesInterpolator([
+    {opacity: 0, easing: 'steps(2)'},
+    {opacity: 1}
+  ]);
+
+  t.deepEqual(interpolate(0.3), {opacity: '0'});
+  t.deepEqual(interpolate(0.6), {opacity: '0.5'});
+});
+
+test('list :: partial properties', t => {
+  const interpolate = getKeyframesInterpolator([
+    {opacity: 0, filter: 'blur(10px)'},
+    {opacity: 0.5},
+    {opacity: 1, filter: 'blur(0px)'}
+  ]);
+
+  t.deepEqual(interpolate(0.5), {opacity: '0.5', filter: 'blur(5px)'});
+});
+
+test('property-indexed', t => {
+  const interpolate = getKeyframesInterpolator({
+    opacity: [0, 1, 0],
+    backgroundColor: ['red', 'blue'],
+    '--angle': ['0deg', '90deg'],
+    offset: [0, 0.8, 1]
+  });
+
+  t.deepEqual(interpolate(0.4), {opacity: '0.5', 'background-color': 'red', '--angle': '36deg'});
+  t.deepEqual(interpolate(0.9), {opacity: '0.5', 'background-color': 'blue', '--angle': '81deg'});
+});
+
+test('mismatching values switch at the middle', t => {
+  const interpolate = getKeyframesInterpolator([
+    {transform: 'none'},
+    {transform: 'rotate(45deg)'}
+  ]);
+
+  t.deepEqual(interpolate(0.49), {transform: 'none'});
+  t.deepEqual(interpolate(0.5), {transform: 'rotate(45deg)'});
+});
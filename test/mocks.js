@@ -19,14 +19,30 @@ const _window = {
     }
   },
   scrollTo(x, y) {
+    if (typeof x === 'object') {
+      ({left: x = _window.scrollX, top: y = _window.scrollY} = x);
+    }
+
     _window.scrollX = x;
     _window.scrollY = y;
 
     eventListeners.scroll.forEach(listener => listener());
   },
   animationFrameHandlers: [],
+  animationFrameId: 0,
   requestAnimationFrame(fn) {
-    _window.animationFrameHandlers.push(fn);
+    const id = ++_window.animationFrameId;
+
+    _window.animationFrameHandlers.push({id, fn});
+
+    return id;
+  },
+  cancelAnimationFrame(id) {
+    const index = _window.animationFrameHandlers.findIndex(handler => handler.id === id);
+
+    if (index > -1) {
+      _window.animationFrameHandlers.splice(index, 1);
+    }
   },
   executeAnimationFrame(prevTime = 0) {
     const time = prevTime + 1;
@@ -38,7 +54,7 @@ const _window = {
 
     const handlers = _window.animationFrameHandlers.slice();
     _window.animationFrameHandlers.length = 0;
-    handlers.forEach(fn => fn(time));
+    handlers.forEach(({fn}) => fn(time));
   },
   intersections: [],
   intersectionEntries: [],
@@ -47,15 +63,35 @@ const _window = {
 
     return {
       observe() {},
+      unobserve() {},
       disconnect() {}
     };
   },
+  Animation: function (effect) {
+    return {
+      effect,
+      currentTime: null,
+      playState: 'idle',
+      pause() {
+        this.playState = 'paused';
+      },
+      play() {
+        this.playState = 'running';
+      }
+    };
+  },
   addEventListener(eventName, listener) {
     eventListeners[eventName].add(listener);
   },
   removeEventListener(eventName, listener) {
     eventListeners[eventName].delete(listener);
   },
+  setTimeout(fn, interval) {
+    return setTimeout(fn, interval);
+  },
+  clearTimeout(id) {
+    clearTimeout(id);
+  },
   getComputedStyle(element) {
     return element?.style || {};
   }
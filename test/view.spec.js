@@ -1,6 +1,6 @@
 import test from 'ava';
 import './mocks.js';
-import { getTransformedScene } from '../src/view.js';
+import { getIsReversed, getTransformedScene } from '../src/view.js';
 
 const VIEWPORT_SIZE = 200;
 const SMALLER_VIEWPORT_SIZE = 50;
@@ -272,6 +272,23 @@ test('start :: entry 40% :: start add calc(10vh + 25px) :: end cover 100% :: end
   t.is(result.end, 300); // 150 + 150 = 300
 });
 
+test('start :: entry 40% :: start add calc(50% - 1em) :: end cover 100% :: end add min(10%, 2rem)', t => {
+  const input = getScene({
+    viewSource: {
+      offsetParent: {},
+      offsetHeight: 150,
+      style: {fontSize: '20px'}
+    },
+    start: {name: 'entry', offset: 40, add: 'calc(50% - 1em)'},  // add = 25px - 20px = 5px
+    end: {name: 'cover', offset: 100, add: 'min(10%, 2rem)'},     // add = min(20px, 32px) = 20px
+  });
+
+  const result = getTransformedScene(input, null, SMALLER_VIEWPORT_SIZE, IS_HORIZONTAL, smallAbsoluteOffsetContext);
+
+  t.is(result.start, -25); // -30 + 5 = -25
+  t.is(result.end, 170); // 150 + 20 = 170
+});
+
 test('start :: entry-crossing 40% :: end :: exit-crossing 70%', t => {
   const input = getScene({
     viewSource: {
@@ -287,3 +304,80 @@ test('start :: entry-crossing 40% :: end :: exit-crossing 70%', t => {
   t.is(result.start, 10);
   t.is(result.end, 105);
 });
+
+test('getIsReversed :: writing modes and direction', t => {
+  t.false(getIsReversed({}, true));
+  t.false(getIsReversed({}, false));
+  t.true(getIsReversed({direction: 'rtl'}, true));
+  t.false(getIsReversed({direction: 'rtl'}, false));
+  t.true(getIsReversed({writingMode: 'vertical-rl'}, true));
+  t.false(getIsReversed({writingMode: 'vertical-rl'}, false));
+  t.false(getIsReversed({writingMode: 'vertical-lr'}, true));
+  t.true(getIsReversed({writingMode: 'vertical-lr', direction: 'rtl'}, false));
+  t.true(getIsReversed({writingMode: 'sideways-lr'}, false));
+});
+
+test('duration :: cover :: horizontal rtl', t => {
+  const root = {
+    scrollWidth: 1000,
+    style: {direction: 'rtl'}
+  };
+  const input = getScene({
+    viewSource: {
+      offsetParent: root,
+      offsetLeft: 700,
+      offsetWidth: 100
+    },
+    duration: 'cover'
+  });
+
+  const result = getTransformedScene(input, root, VIEWPORT_SIZE, true, absoluteOffsetContext);
+
+  // logical start is 1000 - 700 - 100 = 200
+  t.is(result.start, 0);
+  t.is(result.end, 300);
+});
+
+test('duration :: contain :: horizontal rtl :: sticky right parent', t => {
+  const root = {
+    scrollWidth: 1000,
+    style: {direction: 'rtl'}
+  };
+  const input = getScene({
+    viewSource: {
+      offsetLeft: 100,
+      offsetWidth: 100,
+      offsetParent: {
+        offsetLeft: 200,
+        offsetWidth: 400,
+        scrollWidth: 400,
+        style: {position: 'sticky', right: '0px'},
+        offsetParent: root
+      }
+    },
+    duration: 'contain'
+  });
+
+  const result = getTransformedScene(input, root, VIEWPORT_SIZE, true, absoluteOffsetContext);
+  const ltrRoot = {scrollWidth: 1000, style: {}};
+  const ltrInput = getScene({
+    viewSource: {
+      offsetLeft: 200,
+      offsetWidth: 100,
+      offsetParent: {
+        offsetLeft: 400,
+        offsetWidth: 400,
+        scrollWidth: 400,
+        style: {position: 'sticky', left: '0px'},
+        offsetParent: ltrRoot
+      }
+    },
+    duration: 'contain'
+  });
+
+  const ltrResult = getTransformedScene(ltrInput, ltrRoot, VIEWPORT_SIZE, true, absoluteOffsetContext);
+
+  // mirrored layout with sticky right behaves like sticky left in left-to-right
+  t.is(result.start, ltrResult.start);
+  t.is(result.end, ltrResult.end);
+});
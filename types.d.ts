@@ -3,15 +3,36 @@ declare type RangeName = 'entry' | 'exit' | 'contain' | 'cover' | 'entry-crossin
 declare type RangeOffset = {
   name?: RangeName;
   offset?: number;
+  add?: string | { value: number; unit: string };
+};
+
+declare type CSSVarsOptions = {
+  target?: Element;
+  progress?: string;
+  velocity?: boolean | string;
 };
 
 declare type scrollConfig = {
   scenes: ScrollScene[];
   horizontal?: boolean;
+  crossAxisActive?: boolean;
   transitionActive?: boolean;
   transitionFriction?: number;
+  transitionHalfLife?: number;
+  transitionEpsilon?: number;
+  transitionType?: 'lerp' | 'spring';
+  transitionStiffness?: number;
+  transitionDamping?: number;
+  transitionMass?: number;
   velocityActive?: boolean;
   velocityMax?: number;
+  velocitySmoothing?: number;
+  velocityDecay?: number | ((velocity: number, dt: number) => number);
+  snapActive?: boolean;
+  snapDelay?: number;
+  snapProximity?: number;
+  snapBehavior?: ScrollBehavior;
+  nativeTimelinesActive?: boolean;
   observeViewportEntry?: boolean;
   viewportRootMargin?: string;
   observeViewportResize?: boolean;
@@ -20,13 +41,39 @@ declare type scrollConfig = {
 }
 
 declare type ScrollScene = {
-  effect: (scene: ScrollScene, progress: number) => void;
-  start?: RangeOffset;
+  effect?: ((scene: ScrollScene, progress: number, velocity: number, acceleration: number, direction: number) => void) | ((scene: ScrollScene, active: boolean) => void);
+  start?: number | RangeOffset | string;
   duration?: number | RangeName;
-  end?: RangeOffset;
+  end?: number | RangeOffset | string;
+  range?: string;
   disabled?: boolean;
   viewSource?: HTMLElement;
   groupId?: string;
+  id?: string;
+  horizontal?: boolean;
+  snap?: boolean | number[];
+  easing?: string | ((progress: number) => number);
+  once?: boolean;
+  destroyOnComplete?: boolean;
+  onEnter?: (scene: ScrollScene) => void;
+  onLeave?: (scene: ScrollScene) => void;
+  onEnterBack?: (scene: ScrollScene) => void;
+  onLeaveBack?: (scene: ScrollScene) => void;
+  toggle?: boolean;
+  toggleTarget?: Element;
+  toggleClasses?: boolean | { before?: string; active?: string; after?: string };
+  toggleAttribute?: string;
+  keyframes?: Keyframe[] | PropertyIndexedKeyframes;
+  target?: Element;
+  animations?: Animation | KeyframeEffect | Array<Animation | KeyframeEffect>;
+  cssVars?: boolean | CSSVarsOptions;
+  children?: ScrollScene[];
+  elements?: Element[];
+  stagger?: number | string | ((index: number, count: number) => number);
+  element?: Element;
+  index?: number;
 }
 
+declare type ScrollEventType = 'progress' | 'sceneenter' | 'sceneleave' | 'scenecomplete' | 'rangesupdate' | 'destroy';
+
 declare module "fizban";